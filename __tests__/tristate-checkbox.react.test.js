@@ -0,0 +1,113 @@
+// __tests__/tristate-checkbox.react.test.js
+const { createElement, useState } = require('react');
+const { render, fireEvent, act } = require('@testing-library/react');
+const TristateCheckbox = require('../tristate-checkbox');
+const { TristateTree, useTristate } = require('../adapters/react');
+
+describe('React bindings', () => {
+  const data = [
+    {
+      id: 'fruit',
+      label: 'Fruit',
+      children: [
+        { id: 'apple', label: 'Apple' },
+        { id: 'pear', label: 'Pear' }
+      ]
+    }
+  ];
+  
+  // A parent that owns the selection, the way an app would
+  function Controlled({ initial = [], onChange = () => {}, accept = true }) {
+    const [value, setValue] = useState(initial);
+    return createElement(TristateTree, {
+      data,
+      value,
+      onChange: next => {
+        onChange(next);
+        if (accept) setValue(next);
+      }
+    });
+  }
+  
+  // Markup rendered by React itself, with the inputs keyed so a new key replaces them
+  function Markup({ value, generation, onChange = () => {} }) {
+    const ref = useTristate({ value, onChange });
+    const input = id => createElement('input', { type: 'checkbox', id, key: `${id}-${generation}` });
+    
+    return createElement('ul', { ref, className: 'tristate' },
+      createElement('li', null, input('top'),
+        createElement('ul', null,
+          createElement('li', null, input('a')),
+          createElement('li', null, input('b')))));
+  }
+  
+  test('should use the same class as the package entry', () => {
+    expect(require('..')).toBe(TristateCheckbox);
+  });
+  
+  test('TristateTree should render the data as a tree with the given value', () => {
+    const { container } = render(createElement(Controlled, { initial: ['apple'] }));
+    
+    const list = container.querySelector('ul.tristate');
+    expect(TristateCheckbox.getInstance(list)).toBeInstanceOf(TristateCheckbox);
+    expect(document.getElementById('apple').checked).toBe(true);
+    expect(document.getElementById('fruit').indeterminate).toBe(true);
+  });
+  
+  test('a user change should come back through onChange and the value', () => {
+    const onChange = jest.fn();
+    render(createElement(Controlled, { onChange }));
+    
+    act(() => {
+      fireEvent.click(document.getElementById('fruit'));
+    });
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith(['apple', 'pear']);
+    expect(document.getElementById('pear').checked).toBe(true);
+    expect(document.getElementById('fruit').checked).toBe(true);
+  });
+  
+  test('a change the parent does not accept should be undone', () => {
+    const onChange = jest.fn();
+    render(createElement(Controlled, { initial: ['pear'], onChange, accept: false }));
+    
+    act(() => {
+      fireEvent.click(document.getElementById('apple'));
+    });
+    expect(onChange).toHaveBeenCalledWith(['apple', 'pear']);
+    expect(document.getElementById('apple').checked).toBe(false);
+    expect(document.getElementById('fruit').indeterminate).toBe(true);
+  });
+  
+  test('inputs replaced by a re-render should follow the value', async () => {
+    const onChange = jest.fn();
+    const { rerender } = render(createElement(Markup, { value: ['a'], generation: 0, onChange }));
+    const before = document.getElementById('a');
+    expect(before.checked).toBe(true);
+    
+    await act(async () => {
+      rerender(createElement(Markup, { value: ['a'], generation: 1, onChange }));
+    });
+    const after = document.getElementById('a');
+    expect(after).not.toBe(before);
+    expect(after.checked).toBe(true);
+    expect(document.getElementById('top').indeterminate).toBe(true);
+    expect(onChange).not.toHaveBeenCalled();
+    
+    await act(async () => {
+      rerender(createElement(Markup, { value: ['a', 'b'], generation: 1, onChange }));
+    });
+    expect(document.getElementById('top').checked).toBe(true);
+  });
+  
+  test('unmounting should destroy the tree', () => {
+    const destroy = jest.spyOn(TristateCheckbox.prototype, 'destroy');
+    const { container, unmount } = render(createElement(Controlled));
+    const list = container.querySelector('ul.tristate');
+    
+    unmount();
+    expect(destroy).toHaveBeenCalledTimes(1);
+    expect(TristateCheckbox.getInstance(list)).toBe(null);
+    destroy.mockRestore();
+  });
+});
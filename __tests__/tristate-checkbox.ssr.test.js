@@ -0,0 +1,63 @@
+/**
+ * @jest-environment node
+ */
+// __tests__/tristate-checkbox.ssr.test.js
+const TristateCheckbox = require('../tristate-checkbox');
+
+describe('TristateCheckbox.renderToString', () => {
+  const data = [
+    {
+      id: 'admin',
+      label: 'Admin',
+      children: [
+        { id: 'users', label: 'Users', checked: true, value: 'users' },
+        { id: 'billing', label: 'Billing & "Invoices"', name: 'perm' }
+      ]
+    },
+    {
+      id: 'reports',
+      label: 'Reports',
+      checked: true,
+      children: [{ id: 'daily', label: 'Daily' }]
+    }
+  ];
+  
+  test('should load without a DOM', () => {
+    expect(typeof document).toBe('undefined');
+    expect(TristateCheckbox.TreeElement).toBe(null);
+  });
+  
+  test('should mark partly checked parents as mixed', () => {
+    const html = TristateCheckbox.renderToString(data);
+    
+    expect(html.startsWith('<ul class="tristate" data-tristate-hydrate><li>')).toBe(true);
+    expect(html).toContain('<input type="checkbox" id="admin" aria-checked="mixed" data-tristate-mixed>');
+    expect(html).toContain('<input type="checkbox" id="users" value="users" checked>');
+    expect(html).toContain('<ul><li><input type="checkbox" id="daily" checked>');
+  });
+  
+  test('should escape labels and attribute values', () => {
+    const html = TristateCheckbox.renderToString(data);
+    
+    expect(html).toContain('<input type="checkbox" id="billing" name="perm">');
+    expect(html).toContain('<label for="billing">Billing &amp; &quot;Invoices&quot;</label>');
+  });
+  
+  test('should derive fully checked parents and add root attributes', () => {
+    const html = TristateCheckbox.renderToString([
+      { id: 'p', label: 'P', children: [{ id: 'c1', checked: true }, { id: 'c2', checked: true }] }
+    ], { attributes: { 'data-tristate': '', 'data-tristate-history': 10 } });
+    
+    expect(html).toContain('<ul class="tristate" data-tristate data-tristate-history="10" data-tristate-hydrate>');
+    expect(html).toContain('<input type="checkbox" id="p" checked>');
+  });
+  
+  test('should render lazy items with their counts', () => {
+    const html = TristateCheckbox.renderToString([
+      { id: 'team', label: 'Team', lazy: true, checkedCount: 2, totalCount: 9 }
+    ]);
+    
+    expect(html).toContain('data-tristate-lazy data-tristate-checked-count="2" data-tristate-total-count="9" aria-checked="mixed" data-tristate-mixed>');
+    expect(html).toContain('<ul hidden></ul>');
+  });
+});
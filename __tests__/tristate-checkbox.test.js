@@ -161,4 +161,2993 @@ describe('TristateCheckbox DOM manipulation tests', () => {
     expect(parent.indeterminate).toBe(false);
     expect(parent.checked).toBe(true);
   });
-});
\ No newline at end of file
+});
+describe('TristateCheckbox public state API', () => {
+  let tristateCheckbox;
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="root" />
+          <label for="root">Root</label>
+          <ul>
+            <li>
+              <input type="checkbox" id="branch" />
+              <label for="branch">Branch</label>
+              <ul>
+                <li>
+                  <input type="checkbox" id="leaf1" />
+                  <label for="leaf1">Leaf 1</label>
+                </li>
+                <li>
+                  <input type="checkbox" id="leaf2" />
+                  <label for="leaf2">Leaf 2</label>
+                </li>
+              </ul>
+            </li>
+            <li>
+              <input type="checkbox" id="leaf3" />
+              <label for="leaf3">Leaf 3</label>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    `;
+    
+    tristateCheckbox = new TristateCheckbox('.tristate');
+  });
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('check should cascade down and update ancestors', () => {
+    tristateCheckbox.check('branch');
+    
+    expect(document.getElementById('leaf1').checked).toBe(true);
+    expect(document.getElementById('leaf2').checked).toBe(true);
+    expect(tristateCheckbox.getState('branch')).toBe('checked');
+    expect(tristateCheckbox.getState('root')).toBe('indeterminate');
+  });
+  
+  test('uncheck should accept an element or its LI container', () => {
+    tristateCheckbox.check('root');
+    tristateCheckbox.uncheck(document.getElementById('leaf1').closest('li'));
+    
+    expect(tristateCheckbox.getState('leaf1')).toBe('unchecked');
+    expect(tristateCheckbox.getState('branch')).toBe('indeterminate');
+    expect(tristateCheckbox.getState(document.getElementById('root'))).toBe('indeterminate');
+  });
+  
+  test('toggle should check an indeterminate checkbox', () => {
+    tristateCheckbox.check('leaf1');
+    expect(tristateCheckbox.getState('root')).toBe('indeterminate');
+    
+    tristateCheckbox.toggle('root');
+    expect(tristateCheckbox.getState('root')).toBe('checked');
+    
+    tristateCheckbox.toggle('root');
+    expect(tristateCheckbox.getState('leaf3')).toBe('unchecked');
+  });
+  
+  test('setState should apply deeper entries over their ancestors', () => {
+    tristateCheckbox.setState({ leaf2: false, root: 'checked' });
+    
+    expect(tristateCheckbox.getState('leaf1')).toBe('checked');
+    expect(tristateCheckbox.getState('leaf2')).toBe('unchecked');
+    expect(tristateCheckbox.getState('leaf3')).toBe('checked');
+    expect(tristateCheckbox.getState('branch')).toBe('indeterminate');
+    expect(tristateCheckbox.getState('root')).toBe('indeterminate');
+  });
+  
+  test('getState should return null for unknown checkboxes', () => {
+    expect(tristateCheckbox.getState('missing')).toBeNull();
+  });
+});
+
+describe('TristateCheckbox events', () => {
+  let tristateCheckbox;
+  let root;
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="parent" />
+          <label for="parent">Parent</label>
+          <ul>
+            <li>
+              <input type="checkbox" id="child1" />
+              <label for="child1">Child 1</label>
+            </li>
+            <li>
+              <input type="checkbox" id="child2" />
+              <label for="child2">Child 2</label>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    `;
+    
+    root = document.querySelector('.tristate');
+    tristateCheckbox = new TristateCheckbox(root);
+  });
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('should dispatch tristate:change listing every changed checkbox', () => {
+    const listener = jest.fn();
+    document.body.addEventListener('tristate:change', listener);
+    
+    const parent = document.getElementById('parent');
+    parent.click();
+    
+    expect(listener).toHaveBeenCalledTimes(1);
+    const { source, changes } = listener.mock.calls[0][0].detail;
+    expect(source).toBe(parent);
+    expect(changes.map(change => [change.checkbox.id, change.before, change.after])).toEqual([
+      ['parent', 'unchecked', 'checked'],
+      ['child1', 'unchecked', 'checked'],
+      ['child2', 'unchecked', 'checked']
+    ]);
+    
+    document.body.removeEventListener('tristate:change', listener);
+  });
+  
+  test('should report the indeterminate state a parent had before the click', () => {
+    tristateCheckbox.check('child1');
+    
+    const listener = jest.fn();
+    root.addEventListener('tristate:change', listener);
+    document.getElementById('parent').click();
+    
+    const parentChange = listener.mock.calls[0][0].detail.changes[0];
+    expect(parentChange.before).toBe('indeterminate');
+    expect(parentChange.after).toBe('checked');
+  });
+  
+  test('should let tristate:beforechange veto a click', () => {
+    tristateCheckbox.check('child1');
+    
+    root.addEventListener('tristate:beforechange', event => event.preventDefault());
+    const listener = jest.fn();
+    root.addEventListener('tristate:change', listener);
+    
+    document.getElementById('parent').click();
+    
+    expect(listener).not.toHaveBeenCalled();
+    expect(tristateCheckbox.getState('parent')).toBe('indeterminate');
+    expect(tristateCheckbox.getState('child2')).toBe('unchecked');
+  });
+  
+  test('should dispatch a single event for setState', () => {
+    const listener = jest.fn();
+    root.addEventListener('tristate:change', listener);
+    
+    tristateCheckbox.setState({ child1: true, child2: true });
+    
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].detail.source).toBeNull();
+    expect(listener.mock.calls[0][0].detail.changes).toHaveLength(3);
+  });
+});
+
+describe('TristateCheckbox observe mode', () => {
+  let tristateCheckbox;
+  
+  // MutationObserver callbacks run as microtasks
+  const flushMutations = () => new Promise(resolve => setTimeout(resolve, 0));
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="parent" checked />
+          <label for="parent">Parent</label>
+          <ul id="children">
+            <li id="child1-item">
+              <input type="checkbox" id="child1" checked />
+              <label for="child1">Child 1</label>
+            </li>
+            <li>
+              <input type="checkbox" id="child2" />
+              <label for="child2">Child 2</label>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    `;
+    
+    tristateCheckbox = new TristateCheckbox('.tristate', { observe: true });
+  });
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('should wire up list items added after init', async () => {
+    const li = document.createElement('li');
+    li.innerHTML = `
+      <input type="checkbox" id="child3" />
+      <label for="child3">Child 3</label>
+      <ul>
+        <li><input type="checkbox" id="grandchild" checked /></li>
+      </ul>
+    `;
+    document.getElementById('children').appendChild(li);
+    await flushMutations();
+    
+    expect(tristateCheckbox.getState('child3')).toBe('checked');
+    
+    tristateCheckbox.check('child2');
+    expect(tristateCheckbox.getState('parent')).toBe('checked');
+    
+    const grandchild = document.getElementById('grandchild');
+    grandchild.click();
+    expect(tristateCheckbox.getState('child3')).toBe('unchecked');
+    expect(tristateCheckbox.getState('parent')).toBe('indeterminate');
+  });
+  
+  test('should recompute ancestors and release listeners for removed items', async () => {
+    expect(tristateCheckbox.getState('parent')).toBe('indeterminate');
+    
+    const child2 = document.getElementById('child2');
+    child2.closest('li').remove();
+    await flushMutations();
+    
+    expect(tristateCheckbox.getState('parent')).toBe('checked');
+    expect(tristateCheckbox._handlers.has(child2)).toBe(false);
+  });
+  
+  test('should stop observing after destroy', async () => {
+    tristateCheckbox.destroy();
+    
+    const li = document.createElement('li');
+    li.innerHTML = '<input type="checkbox" id="child3" />';
+    document.getElementById('children').appendChild(li);
+    await flushMutations();
+    
+    expect(tristateCheckbox._handlers.size).toBe(0);
+  });
+  
+  // The index after mutations should be the one a fresh instance builds from the same markup
+  const expectFreshIndex = () => {
+    const fresh = new TristateCheckbox('.tristate');
+    const shape = node => ({ id: node.checkbox.id, state: node.state, children: node.children.map(shape) });
+    const root = document.querySelector('.tristate');
+    
+    expect(tristateCheckbox._topLevel.get(root).map(shape)).toEqual(fresh._topLevel.get(root).map(shape));
+    fresh.destroy();
+  };
+  
+  test('should relink only the parent that changed', async () => {
+    const linkRoot = jest.spyOn(tristateCheckbox, '_linkRoot');
+    
+    const li = document.createElement('li');
+    li.innerHTML = '<input type="checkbox" id="child3" />';
+    document.getElementById('children').appendChild(li);
+    await flushMutations();
+    
+    document.getElementById('child1-item').remove();
+    await flushMutations();
+    
+    expect(linkRoot).not.toHaveBeenCalled();
+    expect(tristateCheckbox.getState('parent')).toBe('unchecked');
+    expectFreshIndex();
+  });
+  
+  test('should keep the children of an item whose checkbox is replaced', async () => {
+    const replacement = document.createElement('input');
+    replacement.type = 'checkbox';
+    replacement.id = 'parent';
+    document.getElementById('parent').replaceWith(replacement);
+    await flushMutations();
+    
+    expect(tristateCheckbox.getState('parent')).toBe('indeterminate');
+    tristateCheckbox.check('parent');
+    expect(tristateCheckbox.getState('child2')).toBe('checked');
+    expectFreshIndex();
+  });
+  
+  test('should keep the top level in document order', async () => {
+    const list = document.querySelector('.tristate');
+    const first = document.createElement('li');
+    first.innerHTML = '<input type="checkbox" id="first" /><ul><li><input type="checkbox" id="first-child" checked /></li></ul>';
+    list.prepend(first);
+    const last = document.createElement('li');
+    last.innerHTML = '<input type="checkbox" id="last" />';
+    list.append(last);
+    await flushMutations();
+    
+    expect(tristateCheckbox.getState('first')).toBe('checked');
+    expectFreshIndex();
+    
+    first.remove();
+    await flushMutations();
+    expectFreshIndex();
+  });
+  
+  test('should move an item between parents', async () => {
+    const other = document.createElement('li');
+    other.innerHTML = '<input type="checkbox" id="other" /><ul id="other-children"></ul>';
+    document.querySelector('.tristate').append(other);
+    await flushMutations();
+    
+    document.getElementById('other-children').append(document.getElementById('child1-item'));
+    await flushMutations();
+    
+    expect(tristateCheckbox.getState('other')).toBe('checked');
+    expect(tristateCheckbox.getState('parent')).toBe('unchecked');
+    expectFreshIndex();
+  });
+  
+  test('should adopt the items under an item that gains a checkbox', async () => {
+    const group = document.createElement('li');
+    group.innerHTML = '<ul><li><input type="checkbox" id="loose" checked /></li></ul>';
+    document.querySelector('.tristate').append(group);
+    await flushMutations();
+    expectFreshIndex();
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = 'group';
+    group.prepend(checkbox);
+    await flushMutations();
+    
+    expect(tristateCheckbox.getState('group')).toBe('checked');
+    expectFreshIndex();
+  });
+});
+
+describe('TristateCheckbox render and toJSON', () => {
+  let container;
+  let tristateCheckbox;
+  
+  const data = [
+    {
+      id: 'perm-admin',
+      label: 'Admin',
+      children: [
+        { id: 'perm-users', label: 'Users', checked: true, value: 'users' },
+        {
+          id: 'perm-billing',
+          label: 'Billing <b>',
+          children: [
+            { id: 'perm-invoices', label: 'Invoices' },
+            { id: 'perm-refunds', label: 'Refunds' }
+          ]
+        }
+      ]
+    }
+  ];
+  
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+  
+  afterEach(() => {
+    if (tristateCheckbox) tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('should render accessible markup with matching id/for pairs', () => {
+    tristateCheckbox = TristateCheckbox.render(container, data);
+    
+    const checkbox = document.getElementById('perm-billing');
+    expect(checkbox.type).toBe('checkbox');
+    expect(container.querySelector('label[for="perm-billing"]').textContent).toBe('Billing <b>');
+    expect(document.getElementById('perm-users').value).toBe('users');
+    expect(container.querySelectorAll('input[type="checkbox"]')).toHaveLength(5);
+  });
+  
+  test('should compute parent states from the rendered data', () => {
+    tristateCheckbox = TristateCheckbox.render(container, data);
+    
+    expect(tristateCheckbox.getState('perm-admin')).toBe('indeterminate');
+    expect(tristateCheckbox.getState('perm-billing')).toBe('unchecked');
+    
+    tristateCheckbox.check('perm-billing');
+    expect(tristateCheckbox.getState('perm-admin')).toBe('checked');
+  });
+  
+  test('should check the subtree of a checked parent', () => {
+    tristateCheckbox = TristateCheckbox.render(container, [
+      { id: 'a', label: 'A', checked: true, children: [{ id: 'b', label: 'B' }] }
+    ]);
+    
+    expect(tristateCheckbox.getState('b')).toBe('checked');
+  });
+  
+  test('should generate ids for nodes without one', () => {
+    tristateCheckbox = TristateCheckbox.render(container, [{ label: 'No id' }]);
+    
+    const checkbox = container.querySelector('input');
+    expect(checkbox.id).not.toBe('');
+    expect(container.querySelector('label').htmlFor).toBe(checkbox.id);
+  });
+  
+  test('toJSON should serialize the tree including tristate', () => {
+    tristateCheckbox = TristateCheckbox.render(container, data);
+    
+    expect(tristateCheckbox.toJSON()).toEqual([
+      {
+        id: 'perm-admin',
+        label: 'Admin',
+        checked: false,
+        state: 'indeterminate',
+        children: [
+          { id: 'perm-users', label: 'Users', checked: true, state: 'checked', value: 'users' },
+          {
+            id: 'perm-billing',
+            label: 'Billing <b>',
+            checked: false,
+            state: 'unchecked',
+            children: [
+              { id: 'perm-invoices', label: 'Invoices', checked: false, state: 'unchecked' },
+              { id: 'perm-refunds', label: 'Refunds', checked: false, state: 'unchecked' }
+            ]
+          }
+        ]
+      }
+    ]);
+  });
+  
+  test('toJSON output should round-trip through render', () => {
+    tristateCheckbox = TristateCheckbox.render(container, data);
+    tristateCheckbox.check('perm-invoices');
+    const json = tristateCheckbox.toJSON();
+    tristateCheckbox.destroy();
+    
+    tristateCheckbox = TristateCheckbox.render(container, json);
+    expect(tristateCheckbox.toJSON()).toEqual(json);
+  });
+});
+
+describe('TristateCheckbox form integration', () => {
+  let form;
+  let tristateCheckbox;
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <form>
+        <ul class="tristate">
+          <li>
+            <input type="checkbox" id="fruit" name="food" value="fruit" />
+            <label for="fruit">Fruit</label>
+            <ul>
+              <li>
+                <input type="checkbox" id="apple" name="food" value="apple" checked />
+                <label for="apple">Apple</label>
+              </li>
+              <li>
+                <input type="checkbox" id="pear" name="food" value="pear" />
+                <label for="pear">Pear</label>
+              </li>
+            </ul>
+          </li>
+          <li>
+            <input type="checkbox" id="bread" name="food" value="bread" />
+            <label for="bread">Bread</label>
+          </li>
+        </ul>
+        <input type="text" name="note" value="hello" />
+      </form>
+    `;
+    
+    form = document.querySelector('form');
+  });
+  
+  afterEach(() => {
+    if (tristateCheckbox) tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('leaves mode should submit only leaf values', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { submitMode: 'leaves' });
+    tristateCheckbox.check('fruit');
+    
+    expect(new FormData(form).getAll('food')).toEqual(['apple', 'pear']);
+    expect(new FormData(form).get('note')).toBe('hello');
+  });
+  
+  test('topmost mode should submit the highest fully checked nodes', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { submitMode: 'topmost' });
+    expect(new FormData(form).getAll('food')).toEqual(['apple']);
+    
+    tristateCheckbox.check('pear');
+    tristateCheckbox.check('bread');
+    expect(new FormData(form).getAll('food')).toEqual(['fruit', 'bread']);
+  });
+  
+  test('all mode should submit every checked input', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { submitMode: 'all' });
+    document.getElementById('pear').click();
+    
+    expect(new FormData(form).getAll('food')).toEqual(['fruit', 'apple', 'pear']);
+  });
+  
+  test('destroy should restore the checkbox names', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { submitMode: 'leaves' });
+    tristateCheckbox.destroy();
+    tristateCheckbox = null;
+    
+    expect(document.getElementById('apple').name).toBe('food');
+    expect(form.querySelectorAll('input[type="hidden"]')).toHaveLength(0);
+  });
+  
+  test('getChecked should support each mode', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate');
+    tristateCheckbox.check('fruit');
+    
+    const ids = mode => tristateCheckbox.getChecked(mode).map(checkbox => checkbox.id);
+    expect(ids('all')).toEqual(['fruit', 'apple', 'pear']);
+    expect(ids('leaves')).toEqual(['apple', 'pear']);
+    expect(ids('topmost')).toEqual(['fruit']);
+  });
+  
+  test('form reset should recalculate indeterminate states', async () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { submitMode: 'leaves' });
+    tristateCheckbox.check('fruit');
+    expect(tristateCheckbox.getState('fruit')).toBe('checked');
+    
+    form.reset();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    expect(tristateCheckbox.getState('pear')).toBe('unchecked');
+    expect(tristateCheckbox.getState('fruit')).toBe('indeterminate');
+    expect(new FormData(form).getAll('food')).toEqual(['apple']);
+  });
+});
+
+describe('TristateCheckbox accessibility mode', () => {
+  let tristateCheckbox;
+  let tree;
+  
+  const item = id => document.getElementById(id).closest('li');
+  const press = (target, key) => {
+    target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+  };
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="fruit" />
+          <label for="fruit">Fruit</label>
+          <ul>
+            <li>
+              <input type="checkbox" id="apple" checked />
+              <label for="apple">Apple</label>
+            </li>
+            <li>
+              <input type="checkbox" id="pear" />
+              <label for="pear">Pear</label>
+            </li>
+          </ul>
+        </li>
+        <li>
+          <input type="checkbox" id="bread" />
+          <label for="bread">Bread</label>
+        </li>
+      </ul>
+    `;
+    
+    tree = document.querySelector('.tristate');
+    tristateCheckbox = new TristateCheckbox(tree, { accessible: true });
+  });
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('should apply the tree pattern roles and states', () => {
+    expect(tree).toHaveAttribute('role', 'tree');
+    expect(item('fruit')).toHaveAttribute('role', 'treeitem');
+    expect(item('fruit')).toHaveAttribute('aria-expanded', 'true');
+    expect(item('fruit')).toHaveAttribute('aria-checked', 'mixed');
+    expect(item('apple')).toHaveAttribute('aria-checked', 'true');
+    expect(item('bread')).not.toHaveAttribute('aria-expanded');
+    expect(item('apple').parentElement).toHaveAttribute('role', 'group');
+  });
+  
+  test('should keep aria-checked in sync with propagation', () => {
+    tristateCheckbox.check('pear');
+    
+    expect(item('fruit')).toHaveAttribute('aria-checked', 'true');
+    expect(item('pear')).toHaveAttribute('aria-checked', 'true');
+  });
+  
+  test('should use a roving tabindex with arrow key navigation', () => {
+    expect(item('fruit')).toHaveAttribute('tabindex', '0');
+    expect(item('apple')).toHaveAttribute('tabindex', '-1');
+    
+    item('fruit').focus();
+    press(item('fruit'), 'ArrowDown');
+    expect(document.activeElement).toBe(item('apple'));
+    expect(item('apple')).toHaveAttribute('tabindex', '0');
+    expect(item('fruit')).toHaveAttribute('tabindex', '-1');
+    
+    press(item('apple'), 'ArrowLeft');
+    expect(document.activeElement).toBe(item('fruit'));
+    
+    press(item('fruit'), 'ArrowRight');
+    expect(document.activeElement).toBe(item('apple'));
+    
+    press(item('apple'), 'End');
+    expect(document.activeElement).toBe(item('bread'));
+    
+    press(item('bread'), 'Home');
+    expect(document.activeElement).toBe(item('fruit'));
+  });
+  
+  test('should move focus with type-ahead', () => {
+    item('fruit').focus();
+    press(item('fruit'), 'p');
+    expect(document.activeElement).toBe(item('pear'));
+  });
+  
+  test('should toggle with Space using click propagation', () => {
+    const listener = jest.fn();
+    tree.addEventListener('tristate:change', listener);
+    
+    item('fruit').focus();
+    press(item('fruit'), ' ');
+    
+    expect(tristateCheckbox.getState('pear')).toBe('checked');
+    expect(item('fruit')).toHaveAttribute('aria-checked', 'true');
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+  
+  test('should move focus from the hidden checkbox to its treeitem', () => {
+    document.getElementById('bread').focus();
+    expect(document.activeElement).toBe(item('bread'));
+  });
+  
+  test('destroy should remove the added roles', () => {
+    tristateCheckbox.destroy();
+    
+    expect(tree).not.toHaveAttribute('role');
+    expect(item('fruit')).not.toHaveAttribute('aria-checked');
+    expect(document.getElementById('fruit')).not.toHaveAttribute('tabindex');
+  });
+});
+
+describe('TristateCheckbox collapsible subtrees', () => {
+  let tristateCheckbox;
+  
+  const group = id => document.getElementById(id).closest('li').querySelector('ul');
+  const toggle = id => document.getElementById(id).closest('li').querySelector('.tristate-toggle');
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="fruit" />
+          <label for="fruit">Fruit</label>
+          <ul>
+            <li>
+              <input type="checkbox" id="apple" checked />
+              <label for="apple">Apple</label>
+            </li>
+            <li>
+              <input type="checkbox" id="citrus" checked />
+              <label for="citrus">Citrus</label>
+              <ul>
+                <li><input type="checkbox" id="lemon" checked /><label for="lemon">Lemon</label></li>
+              </ul>
+            </li>
+            <li>
+              <input type="checkbox" id="pear" />
+              <label for="pear">Pear</label>
+            </li>
+          </ul>
+        </li>
+        <li>
+          <input type="checkbox" id="bread" />
+          <label for="bread">Bread</label>
+          <ul>
+            <li><input type="checkbox" id="rye" /><label for="rye">Rye</label></li>
+          </ul>
+        </li>
+      </ul>
+    `;
+  });
+  
+  afterEach(() => {
+    if (tristateCheckbox) tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+    localStorage.clear();
+  });
+  
+  test('should add a toggle to every parent item', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { collapsible: true });
+    
+    expect(document.querySelectorAll('.tristate-toggle')).toHaveLength(3);
+    expect(toggle('apple')).toBeNull();
+    expect(toggle('fruit')).toHaveAttribute('aria-expanded', 'true');
+    
+    toggle('fruit').click();
+    expect(group('fruit').hidden).toBe(true);
+    expect(toggle('fruit')).toHaveAttribute('aria-expanded', 'false');
+  });
+  
+  test('should keep the tristate of a collapsed parent', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { collapsible: true });
+    tristateCheckbox.collapse('fruit');
+    tristateCheckbox.check('pear');
+    
+    expect(group('fruit').hidden).toBe(true);
+    expect(tristateCheckbox.getState('fruit')).toBe('checked');
+  });
+  
+  test('expandAll, collapseAll and expandToChecked should update every parent', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { collapsible: true });
+    
+    tristateCheckbox.collapseAll();
+    expect([group('fruit'), group('citrus'), group('bread')].every(ul => ul.hidden)).toBe(true);
+    
+    tristateCheckbox.expandAll();
+    expect([group('fruit'), group('citrus'), group('bread')].some(ul => ul.hidden)).toBe(false);
+    
+    tristateCheckbox.expandToChecked();
+    expect(group('fruit').hidden).toBe(false);
+    expect(group('citrus').hidden).toBe(true);
+    expect(group('bread').hidden).toBe(true);
+  });
+  
+  test('should persist the expanded set to localStorage', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { collapsible: true, persistExpanded: 'tree' });
+    tristateCheckbox.collapse('citrus');
+    expect(JSON.parse(localStorage.getItem('tree'))).toEqual(['fruit', 'bread']);
+    tristateCheckbox.destroy();
+    
+    tristateCheckbox = new TristateCheckbox('.tristate', { collapsible: true, persistExpanded: 'tree' });
+    expect(group('citrus').hidden).toBe(true);
+    expect(group('fruit').hidden).toBe(false);
+  });
+  
+  test('should persist the expanded set to a custom store', () => {
+    const store = { load: jest.fn(() => ['bread']), save: jest.fn() };
+    tristateCheckbox = new TristateCheckbox('.tristate', { persistExpanded: store });
+    
+    expect(group('fruit').hidden).toBe(true);
+    expect(group('bread').hidden).toBe(false);
+    
+    tristateCheckbox.expand('fruit');
+    expect(store.save).toHaveBeenLastCalledWith(['fruit', 'bread']);
+  });
+  
+  test('should expand and collapse with arrow keys in accessible mode', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { collapsible: true, accessible: true });
+    const fruit = document.getElementById('fruit').closest('li');
+    const press = key => fruit.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+    
+    fruit.focus();
+    press('ArrowLeft');
+    expect(group('fruit').hidden).toBe(true);
+    expect(fruit).toHaveAttribute('aria-expanded', 'false');
+    
+    press('ArrowDown');
+    expect(document.activeElement).toBe(document.getElementById('bread').closest('li'));
+    
+    fruit.focus();
+    press('ArrowRight');
+    expect(group('fruit').hidden).toBe(false);
+    expect(toggle('fruit')).toHaveAttribute('tabindex', '-1');
+  });
+  
+  test('destroy should remove the toggles and show every subtree', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { collapsible: true });
+    tristateCheckbox.collapseAll();
+    tristateCheckbox.destroy();
+    
+    expect(document.querySelectorAll('.tristate-toggle')).toHaveLength(0);
+    expect(group('fruit').hidden).toBe(false);
+  });
+});
+
+describe('TristateCheckbox filter', () => {
+  let tristateCheckbox;
+  
+  const item = id => document.getElementById(id).closest('li');
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="fruit" />
+          <label for="fruit">Fruit</label>
+          <ul hidden>
+            <li>
+              <input type="checkbox" id="apple" />
+              <label for="apple">Green apple</label>
+            </li>
+            <li>
+              <input type="checkbox" id="pear" />
+              <label for="pear">Pear</label>
+            </li>
+          </ul>
+        </li>
+        <li>
+          <input type="checkbox" id="pie" />
+          <label for="pie">Apple pie</label>
+          <ul>
+            <li>
+              <input type="checkbox" id="crust" />
+              <label for="crust">Crust</label>
+            </li>
+          </ul>
+        </li>
+        <li>
+          <input type="checkbox" id="bread" />
+          <label for="bread">Bread</label>
+        </li>
+      </ul>
+    `;
+    
+    tristateCheckbox = new TristateCheckbox('.tristate');
+  });
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('should hide non-matching branches and expand ancestors of matches', () => {
+    const matched = tristateCheckbox.filter('apple');
+    
+    expect(matched.map(checkbox => checkbox.id)).toEqual(['apple', 'pie']);
+    expect(item('fruit').hidden).toBe(false);
+    expect(item('fruit').querySelector('ul').hidden).toBe(false);
+    expect(item('pear').hidden).toBe(true);
+    expect(item('bread').hidden).toBe(true);
+    
+    // Descendants of a match stay visible
+    expect(item('crust').hidden).toBe(false);
+  });
+  
+  test('should accept a predicate', () => {
+    tristateCheckbox.filter(checkbox => checkbox.id === 'bread');
+    
+    expect(item('bread').hidden).toBe(false);
+    expect(item('fruit').hidden).toBe(true);
+    expect(item('pie').hidden).toBe(true);
+  });
+  
+  test('should only check visible descendants while filtered', () => {
+    tristateCheckbox.filter('apple');
+    
+    const fruit = document.getElementById('fruit');
+    fruit.click();
+    
+    expect(tristateCheckbox.getState('apple')).toBe('checked');
+    expect(tristateCheckbox.getState('pear')).toBe('unchecked');
+    expect(tristateCheckbox.getState('fruit')).toBe('indeterminate');
+  });
+  
+  test('should highlight matched label text', () => {
+    tristateCheckbox.filter('APPLE', { highlight: true });
+    
+    const marks = document.querySelectorAll('mark.tristate-match');
+    expect(Array.from(marks).map(mark => mark.textContent)).toEqual(['apple', 'Apple']);
+    expect(document.querySelector('label[for="apple"]').textContent).toBe('Green apple');
+  });
+  
+  test('clearFilter should restore the tree', () => {
+    tristateCheckbox.filter('apple', { highlight: true });
+    tristateCheckbox.clearFilter();
+    
+    expect(document.querySelectorAll('.tristate li[hidden]')).toHaveLength(0);
+    expect(document.querySelectorAll('mark')).toHaveLength(0);
+    expect(item('fruit').querySelector('ul').hidden).toBe(true);
+    expect(document.querySelector('label[for="apple"]').childNodes).toHaveLength(1);
+  });
+  
+  test('an empty query should clear the filter', () => {
+    tristateCheckbox.filter('bread');
+    expect(tristateCheckbox.filter('')).toEqual([]);
+    expect(item('fruit').hidden).toBe(false);
+  });
+});
+
+describe('TristateCheckbox locked nodes', () => {
+  let tristateCheckbox;
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="admin" />
+          <label for="admin">Admin</label>
+          <ul>
+            <li>
+              <input type="checkbox" id="read" />
+              <label for="read">Read</label>
+            </li>
+            <li>
+              <input type="checkbox" id="write" />
+              <label for="write">Write</label>
+            </li>
+            <li>
+              <input type="checkbox" id="owner" disabled />
+              <label for="owner">Owner</label>
+            </li>
+            <li>
+              <input type="checkbox" id="billing" data-tristate-locked checked />
+              <label for="billing">Billing</label>
+              <ul>
+                <li><input type="checkbox" id="invoices" checked /><label for="invoices">Invoices</label></li>
+              </ul>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    `;
+  });
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('should keep the value of locked nodes and their subtrees when a parent is toggled', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate');
+    
+    document.getElementById('admin').click();
+    expect(tristateCheckbox.getState('read')).toBe('checked');
+    expect(tristateCheckbox.getState('owner')).toBe('unchecked');
+    
+    tristateCheckbox.uncheck('admin');
+    expect(tristateCheckbox.getState('billing')).toBe('checked');
+    expect(tristateCheckbox.getState('invoices')).toBe('checked');
+  });
+  
+  test('should show a parent as checked when all its enabled children are checked', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate');
+    
+    tristateCheckbox.check('read');
+    expect(tristateCheckbox.getState('admin')).toBe('indeterminate');
+    
+    tristateCheckbox.check('write');
+    expect(tristateCheckbox.getState('admin')).toBe('checked');
+  });
+  
+  test('should count locked children with the include policy', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { lockedPolicy: 'include' });
+    
+    tristateCheckbox.check('admin');
+    expect(tristateCheckbox.getState('admin')).toBe('indeterminate');
+  });
+  
+  test('should revert clicks on a locked checkbox', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate');
+    
+    document.getElementById('billing').click();
+    expect(tristateCheckbox.getState('billing')).toBe('checked');
+    expect(tristateCheckbox.getState('invoices')).toBe('checked');
+  });
+  
+  test('readonly mode should render the tristate but revert user changes', () => {
+    document.getElementById('read').checked = true;
+    tristateCheckbox = new TristateCheckbox('.tristate', { readonly: true, accessible: true });
+    expect(tristateCheckbox.getState('admin')).toBe('indeterminate');
+    
+    const listener = jest.fn();
+    document.body.addEventListener('tristate:change', listener);
+    
+    document.getElementById('admin').click();
+    document.getElementById('write').click();
+    
+    expect(tristateCheckbox.getState('admin')).toBe('indeterminate');
+    expect(tristateCheckbox.getState('write')).toBe('unchecked');
+    expect(listener).not.toHaveBeenCalled();
+    expect(document.querySelector('.tristate')).toHaveAttribute('aria-readonly', 'true');
+    
+    document.body.removeEventListener('tristate:change', listener);
+  });
+  
+  test('readonly mode should ignore the state methods and controllers too', () => {
+    document.body.insertAdjacentHTML('beforeend', '<input type="checkbox" id="all">');
+    tristateCheckbox = new TristateCheckbox('.tristate', { readonly: true });
+    const controller = document.getElementById('all');
+    tristateCheckbox.bindController(controller);
+    const checked = tristateCheckbox.getChecked();
+    
+    tristateCheckbox.check('read');
+    tristateCheckbox.setState({ write: true });
+    tristateCheckbox.checkAll();
+    tristateCheckbox.getRoot(0).check();
+    tristateCheckbox.invert();
+    expect(tristateCheckbox.selectWhere(() => true)).toEqual([]);
+    controller.click();
+    
+    expect(tristateCheckbox.getChecked()).toEqual(checked);
+    expect(controller.checked).toBe(false);
+    
+    // A new value is still shown
+    tristateCheckbox.setValue(['read']);
+    expect(tristateCheckbox.getState('admin')).toBe('indeterminate');
+    tristateCheckbox.unbindController(controller);
+    controller.remove();
+  });
+  
+  test('should reject an unknown lockedPolicy', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    tristateCheckbox = new TristateCheckbox('.tristate', { lockedPolicy: 'skip' });
+    
+    expect(error).toHaveBeenCalledWith('TristateCheckbox: Unknown lockedPolicy "skip"');
+    expect(tristateCheckbox.options.lockedPolicy).toBe('ignore');
+    error.mockRestore();
+  });
+  
+  test('a lock changed after init should take effect on refresh', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate');
+    document.getElementById('write').setAttribute('data-tristate-locked', '');
+    
+    // Counting and clicks agree until the index is rebuilt
+    tristateCheckbox.check('read');
+    expect(tristateCheckbox.getState('admin')).toBe('indeterminate');
+    document.getElementById('write').click();
+    expect(tristateCheckbox.getState('write')).toBe('checked');
+    tristateCheckbox.uncheck('write');
+    
+    tristateCheckbox.refresh();
+    expect(tristateCheckbox.getState('admin')).toBe('checked');
+    document.getElementById('write').click();
+    expect(tristateCheckbox.getState('write')).toBe('unchecked');
+  });
+});
+
+describe('TristateCheckbox tree index', () => {
+  let tristateCheckbox;
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="a" />
+          <ul>
+            <li>
+              <input type="checkbox" id="b" />
+              <ul>
+                <li>
+                  <input type="checkbox" id="c" />
+                  <ul>
+                    <li><input type="checkbox" id="d1" /></li>
+                    <li><input type="checkbox" id="d2" disabled /></li>
+                  </ul>
+                </li>
+                <li><input type="checkbox" id="c2" /></li>
+              </ul>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    `;
+    
+    tristateCheckbox = new TristateCheckbox('.tristate', { lockedPolicy: 'include' });
+  });
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('should update every ancestor when a deep leaf changes', () => {
+    tristateCheckbox.check('d1');
+    
+    expect(tristateCheckbox.getState('c')).toBe('indeterminate');
+    expect(tristateCheckbox.getState('b')).toBe('indeterminate');
+    expect(document.getElementById('a').indeterminate).toBe(true);
+  });
+  
+  test('should keep an intermediate parent mixed when a locked descendant keeps its value', () => {
+    tristateCheckbox.check('a');
+    
+    expect(tristateCheckbox.getState('d2')).toBe('unchecked');
+    expect(tristateCheckbox.getState('c')).toBe('indeterminate');
+    expect(tristateCheckbox.getState('b')).toBe('indeterminate');
+    expect(tristateCheckbox.getState('a')).toBe('indeterminate');
+  });
+  
+  test('should write the DOM once an operation completes', () => {
+    tristateCheckbox.check('b');
+    
+    ['b', 'c', 'd1', 'c2'].forEach(id => {
+      expect(document.getElementById(id).checked).toBe(tristateCheckbox.getState(id) === 'checked');
+    });
+    expect(document.getElementById('c').indeterminate).toBe(true);
+  });
+  
+  test('refresh should pick up changes made directly to the DOM', () => {
+    document.getElementById('d1').checked = true;
+    document.getElementById('d2').disabled = false;
+    document.getElementById('d2').checked = true;
+    document.getElementById('c2').checked = true;
+    tristateCheckbox.refresh();
+    
+    expect(tristateCheckbox.getState('a')).toBe('checked');
+  });
+});
+
+describe('TristateCheckbox custom markup', () => {
+  let tristateCheckbox;
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('should build the tree from table rows with a parent resolver', () => {
+    document.body.innerHTML = `
+      <table class="tristate">
+        <tbody>
+          <tr aria-level="1"><td><input type="checkbox" id="a" /></td><td><label for="a">A</label></td></tr>
+          <tr aria-level="2"><td><input type="checkbox" id="a1" /></td><td>A1</td></tr>
+          <tr aria-level="2"><td><input type="checkbox" id="a2" /></td><td>A2</td></tr>
+          <tr aria-level="3"><td><input type="checkbox" id="a2x" checked /></td><td>A2x</td></tr>
+          <tr aria-level="1"><td><input type="checkbox" id="b" /></td><td>B</td></tr>
+        </tbody>
+      </table>
+    `;
+    
+    // The parent of a row is the closest row above it with a lower level
+    const getParentItem = row => {
+      const level = Number(row.getAttribute('aria-level'));
+      for (let previous = row.previousElementSibling; previous; previous = previous.previousElementSibling) {
+        if (Number(previous.getAttribute('aria-level')) < level) return previous;
+      }
+      return null;
+    };
+    
+    tristateCheckbox = new TristateCheckbox('.tristate', { itemSelector: 'tr', getParentItem });
+    
+    expect(tristateCheckbox.getState('a2')).toBe('checked');
+    expect(tristateCheckbox.getState('a')).toBe('indeterminate');
+    expect(tristateCheckbox.getState('b')).toBe('unchecked');
+    
+    tristateCheckbox.check('a');
+    expect(document.getElementById('a1').checked).toBe(true);
+    expect(document.getElementById('b').checked).toBe(false);
+    
+    tristateCheckbox.uncheck(document.getElementById('a2x').closest('tr'));
+    expect(tristateCheckbox.getState('a2')).toBe('unchecked');
+    expect(tristateCheckbox.getState('a')).toBe('indeterminate');
+    
+    expect(tristateCheckbox.toJSON()[0]).toMatchObject({ id: 'a', label: 'A' });
+  });
+  
+  test('should build the tree from nested divs with custom selectors', () => {
+    document.body.innerHTML = `
+      <div class="tristate">
+        <div class="node">
+          <label><input type="checkbox" class="pick" id="a" /> A</label>
+          <div class="children">
+            <div class="node"><label><input type="checkbox" class="pick" id="a1" /> A1</label></div>
+            <div class="node"><label><input type="checkbox" class="pick" id="a2" /> A2</label></div>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    tristateCheckbox = new TristateCheckbox('.tristate', {
+      checkboxSelector: 'input.pick',
+      itemSelector: '.node',
+      groupSelector: '.children',
+      collapsible: true,
+      accessible: true
+    });
+    
+    const parent = document.getElementById('a').closest('.node');
+    expect(parent.getAttribute('role')).toBe('treeitem');
+    expect(parent.querySelector('.children').getAttribute('role')).toBe('group');
+    expect(parent.querySelector('.tristate-toggle').getAttribute('aria-label')).toBe('Toggle A');
+    
+    tristateCheckbox.collapse('a');
+    expect(parent.querySelector('.children').hidden).toBe(true);
+    
+    document.getElementById('a1').click();
+    expect(document.getElementById('a').indeterminate).toBe(true);
+    expect(parent.getAttribute('aria-checked')).toBe('mixed');
+  });
+  
+  test('should follow mutations in a custom layout', async () => {
+    document.body.innerHTML = `
+      <div class="tristate">
+        <div class="node">
+          <input type="checkbox" id="a" checked />
+          <div class="children">
+            <div class="node"><input type="checkbox" id="a1" checked /></div>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    tristateCheckbox = new TristateCheckbox('.tristate', {
+      itemSelector: '.node',
+      groupSelector: '.children',
+      observe: true
+    });
+    
+    const item = document.createElement('div');
+    item.className = 'node';
+    item.innerHTML = '<input type="checkbox" id="a2" />';
+    document.querySelector('.children').appendChild(item);
+    await Promise.resolve();
+    
+    expect(tristateCheckbox.getState('a')).toBe('indeterminate');
+    
+    item.remove();
+    await Promise.resolve();
+    
+    expect(tristateCheckbox.getState('a')).toBe('checked');
+  });
+});
+
+describe('TristateCheckbox <tristate-tree> element', () => {
+  const markup = `
+    <ul>
+      <li>
+        <input type="checkbox" id="all" value="all" />
+        <ul>
+          <li><input type="checkbox" id="read" value="read" /></li>
+          <li><input type="checkbox" id="write" value="write" /></li>
+        </ul>
+      </li>
+      <li><input type="checkbox" id="admin" /></li>
+    </ul>
+  `;
+  
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+  
+  test('should initialize when connected and clean up when disconnected', () => {
+    document.body.innerHTML = `<tristate-tree>${markup}</tristate-tree>`;
+    const element = document.querySelector('tristate-tree');
+    
+    expect(element).toBeInstanceOf(TristateCheckbox.TreeElement);
+    expect(element.tree).toBeInstanceOf(TristateCheckbox);
+    
+    const tree = element.tree;
+    const destroy = jest.spyOn(tree, 'destroy');
+    element.remove();
+    
+    expect(destroy).toHaveBeenCalled();
+    expect(element.tree).toBeNull();
+  });
+  
+  test('should reflect the value property and attribute', () => {
+    document.body.innerHTML = `<tristate-tree value="read">${markup}</tristate-tree>`;
+    const element = document.querySelector('tristate-tree');
+    
+    expect(element.tree.getState('all')).toBe('indeterminate');
+    expect(element.value).toEqual(['read']);
+    
+    element.value = ['read', 'write', 'admin'];
+    expect(element.tree.getState('all')).toBe('checked');
+    expect(element.getAttribute('value')).toBe('read,write,admin');
+    
+    element.setAttribute('mode', 'topmost');
+    expect(element.value).toEqual(['all', 'admin']);
+    
+    element.setAttribute('value', 'write');
+    expect(element.tree.getState('read')).toBe('unchecked');
+    expect(element.tree.getState('write')).toBe('checked');
+  });
+  
+  test('should apply a value set before it was connected', () => {
+    const element = document.createElement('tristate-tree');
+    element.innerHTML = markup;
+    element.value = 'read,write';
+    document.body.appendChild(element);
+    
+    expect(element.tree.getState('all')).toBe('checked');
+    expect(element.getAttribute('value')).toBe('read,write');
+  });
+  
+  test('should fire input and change from the element for user changes only', () => {
+    document.body.innerHTML = `<tristate-tree>${markup}</tristate-tree>`;
+    const element = document.querySelector('tristate-tree');
+    const events = [];
+    const record = event => events.push([event.type, event.target]);
+    document.addEventListener('input', record);
+    document.addEventListener('change', record);
+    
+    document.getElementById('read').click();
+    expect(events).toEqual([['input', element], ['change', element]]);
+    expect(element.value).toEqual(['read']);
+    
+    events.length = 0;
+    element.tree.check('write');
+    element.value = [];
+    expect(events).toEqual([]);
+    
+    // A reverted click changes nothing, so nothing is reported
+    element.addEventListener('tristate:beforechange', event => event.preventDefault());
+    document.getElementById('read').click();
+    expect(events).toEqual([]);
+    
+    document.removeEventListener('input', record);
+    document.removeEventListener('change', record);
+  });
+  
+  test('listeners on the element itself should only get its own input and change', () => {
+    document.body.innerHTML = `<tristate-tree>${markup}</tristate-tree>`;
+    const element = document.querySelector('tristate-tree');
+    const events = [];
+    const record = event => events.push([event.type, event.target]);
+    element.addEventListener('input', record);
+    element.addEventListener('change', record);
+    
+    document.getElementById('read').click();
+    expect(events).toEqual([['input', element], ['change', element]]);
+  });
+  
+  test('should submit its value with its form through ElementInternals', () => {
+    const internals = { setFormValue: jest.fn(), form: null };
+    TristateCheckbox.TreeElement.prototype.attachInternals = () => internals;
+    
+    try {
+      document.body.innerHTML = `<form><tristate-tree name="permissions">${markup}</tristate-tree></form>`;
+      document.getElementById('all').click();
+      
+      const formValue = internals.setFormValue.mock.calls.pop()[0];
+      expect(formValue.getAll('permissions')).toEqual(['read', 'write']);
+      
+      document.getElementById('all').click();
+      expect(internals.setFormValue).toHaveBeenLastCalledWith(null);
+    } finally {
+      delete TristateCheckbox.TreeElement.prototype.attachInternals;
+    }
+  });
+});
+
+describe('TristateCheckbox multiple roots', () => {
+  let tristateCheckbox;
+  let controller;
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input type="checkbox" id="all-regions" />
+      ${['eu', 'us'].map(region => `
+        <ul class="region" id="${region}">
+          <li>
+            <input type="checkbox" id="${region}-a" />
+            <ul>
+              <li><input type="checkbox" id="${region}-a1" /></li>
+              <li><input type="checkbox" id="${region}-a2" /></li>
+            </ul>
+          </li>
+          <li><input type="checkbox" id="${region}-b" /></li>
+        </ul>
+      `).join('')}
+    `;
+    
+    tristateCheckbox = new TristateCheckbox('.region');
+    controller = document.getElementById('all-regions');
+  });
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('getRoot should scope queries and changes to one root', () => {
+    const eu = tristateCheckbox.getRoot(0);
+    expect(eu.element.id).toBe('eu');
+    expect(tristateCheckbox.getRoot(document.getElementById('us')).element.id).toBe('us');
+    expect(tristateCheckbox.getRoot(5)).toBeNull();
+    
+    tristateCheckbox.check('eu-a1');
+    expect(eu.getChecked().map(checkbox => checkbox.id)).toEqual(['eu-a1']);
+    expect(eu.getState()).toBe('indeterminate');
+    expect(tristateCheckbox.getRoot(1).getState()).toBe('unchecked');
+    
+    eu.check();
+    expect(eu.getState()).toBe('checked');
+    expect(eu.getChecked('topmost').map(checkbox => checkbox.id)).toEqual(['eu-a', 'eu-b']);
+    expect(tristateCheckbox.getRoot(1).getChecked()).toEqual([]);
+    expect(eu.toJSON().map(node => node.id)).toEqual(['eu-a', 'eu-b']);
+  });
+  
+  test('a controller should show the combined state of its roots', () => {
+    tristateCheckbox.bindController(controller);
+    expect(controller.checked).toBe(false);
+    expect(controller.indeterminate).toBe(false);
+    
+    tristateCheckbox.getRoot(0).check();
+    expect(controller.indeterminate).toBe(true);
+    
+    document.getElementById('us-a').click();
+    document.getElementById('us-b').click();
+    expect(controller.checked).toBe(true);
+    expect(controller.indeterminate).toBe(false);
+    
+    tristateCheckbox.uncheck('eu-a2');
+    expect(controller.indeterminate).toBe(true);
+  });
+  
+  test('clicking a controller should check or uncheck every linked root', () => {
+    tristateCheckbox.bindController(controller, [1]);
+    const changed = [];
+    const record = event => changed.push(event.target.id);
+    document.body.addEventListener('tristate:change', record);
+    
+    tristateCheckbox.check('us-a2');
+    controller.click();
+    
+    expect(tristateCheckbox.getRoot(1).getState()).toBe('checked');
+    expect(tristateCheckbox.getRoot(0).getState()).toBe('unchecked');
+    expect(controller.checked).toBe(true);
+    expect(changed).toEqual(['us', 'us']);
+    
+    controller.click();
+    expect(tristateCheckbox.getRoot(1).getChecked()).toEqual([]);
+    
+    tristateCheckbox.unbindController(controller);
+    controller.click();
+    expect(tristateCheckbox.getRoot(1).getChecked()).toEqual([]);
+    
+    document.body.removeEventListener('tristate:change', record);
+  });
+  
+  test('a controller should leave locked items alone', () => {
+    document.getElementById('eu-b').disabled = true;
+    tristateCheckbox.refresh();
+    tristateCheckbox.bindController(controller, [0]);
+    
+    controller.click();
+    
+    expect(tristateCheckbox.getState('eu-b')).toBe('unchecked');
+    expect(tristateCheckbox.getState('eu-a')).toBe('checked');
+    expect(controller.checked).toBe(true);
+  });
+});
+
+describe('TristateCheckbox constraints', () => {
+  let tristateCheckbox;
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="regions" />
+          <ul>
+            <li>
+              <input type="checkbox" id="france" data-tristate-exclusive />
+              <ul>
+                <li><input type="checkbox" id="paris" /></li>
+                <li><input type="checkbox" id="lyon" /></li>
+                <li>
+                  <input type="checkbox" id="south" />
+                  <ul>
+                    <li><input type="checkbox" id="nice" /></li>
+                    <li><input type="checkbox" id="marseille" /></li>
+                  </ul>
+                </li>
+              </ul>
+            </li>
+            <li>
+              <input type="checkbox" id="toppings" data-tristate-max="2" />
+              <ul>
+                <li><input type="checkbox" id="cheese" /></li>
+                <li><input type="checkbox" id="olives" /></li>
+                <li><input type="checkbox" id="basil" /></li>
+              </ul>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    `;
+    
+    tristateCheckbox = new TristateCheckbox('.tristate');
+  });
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('an exclusive parent should keep only one child checked', () => {
+    document.getElementById('paris').click();
+    expect(tristateCheckbox.getState('france')).toBe('checked');
+    expect(tristateCheckbox.getState('regions')).toBe('indeterminate');
+    
+    document.getElementById('lyon').click();
+    expect(tristateCheckbox.getState('paris')).toBe('unchecked');
+    expect(tristateCheckbox.getState('lyon')).toBe('checked');
+    expect(tristateCheckbox.getState('france')).toBe('checked');
+    
+    // A partial selection in a nested branch also replaces the sibling
+    document.getElementById('nice').click();
+    expect(tristateCheckbox.getState('lyon')).toBe('unchecked');
+    expect(tristateCheckbox.getState('south')).toBe('indeterminate');
+    expect(tristateCheckbox.getState('france')).toBe('indeterminate');
+    expect(document.getElementById('france').indeterminate).toBe(true);
+  });
+  
+  test('checking an exclusive parent should check a single child', () => {
+    tristateCheckbox.check('france');
+    expect(tristateCheckbox.getChecked('leaves').map(checkbox => checkbox.id)).toEqual(['paris']);
+    
+    tristateCheckbox.check('marseille');
+    tristateCheckbox.check('france');
+    expect(tristateCheckbox.getState('south')).toBe('checked');
+    expect(tristateCheckbox.getState('nice')).toBe('checked');
+    expect(tristateCheckbox.getState('paris')).toBe('unchecked');
+    
+    tristateCheckbox.uncheck('france');
+    expect(tristateCheckbox.getChecked()).toEqual([]);
+  });
+  
+  test('a max limit should reject checks that go over it', () => {
+    const rejected = jest.fn();
+    const changed = jest.fn();
+    document.body.addEventListener('tristate:reject', rejected);
+    document.body.addEventListener('tristate:change', changed);
+    
+    document.getElementById('cheese').click();
+    document.getElementById('olives').click();
+    expect(tristateCheckbox.getState('toppings')).toBe('indeterminate');
+    changed.mockClear();
+    
+    const basil = document.getElementById('basil');
+    basil.click();
+    
+    expect(basil.checked).toBe(false);
+    expect(tristateCheckbox.getState('basil')).toBe('unchecked');
+    expect(changed).not.toHaveBeenCalled();
+    expect(rejected).toHaveBeenCalledTimes(1);
+    const event = rejected.mock.calls[0][0];
+    expect(event.target).toBe(basil);
+    expect(event.detail.checkbox).toBe(basil);
+    expect(event.detail.parent).toBe(document.getElementById('toppings'));
+    expect(event.detail.max).toBe(2);
+    expect(event.detail.reason).toBe('max');
+    
+    // Checking an ancestor would check every leaf, so it is rejected as a whole
+    tristateCheckbox.check('regions');
+    expect(rejected).toHaveBeenCalledTimes(2);
+    expect(tristateCheckbox.getState('regions')).toBe('indeterminate');
+    expect(tristateCheckbox.getState('paris')).toBe('unchecked');
+    
+    document.body.removeEventListener('tristate:reject', rejected);
+    document.body.removeEventListener('tristate:change', changed);
+  });
+  
+  test('a max limit should still allow unchecking', () => {
+    document.getElementById('toppings').setAttribute('data-tristate-max', '1');
+    ['cheese', 'olives'].forEach(id => {
+      document.getElementById(id).checked = true;
+    });
+    tristateCheckbox.refresh();
+    
+    tristateCheckbox.uncheck('olives');
+    expect(tristateCheckbox.getChecked('leaves').map(checkbox => checkbox.id)).toEqual(['cheese']);
+  });
+  
+  test('a parent over its limit should only reject changes below it', () => {
+    document.getElementById('toppings').setAttribute('data-tristate-max', '1');
+    ['cheese', 'olives'].forEach(id => {
+      document.getElementById(id).checked = true;
+    });
+    tristateCheckbox.refresh();
+    const rejected = jest.fn();
+    document.body.addEventListener('tristate:reject', rejected);
+    
+    document.getElementById('paris').click();
+    expect(tristateCheckbox.getState('paris')).toBe('checked');
+    expect(rejected).not.toHaveBeenCalled();
+    
+    document.getElementById('basil').click();
+    expect(tristateCheckbox.getState('basil')).toBe('unchecked');
+    expect(rejected).toHaveBeenCalledTimes(1);
+    
+    document.body.removeEventListener('tristate:reject', rejected);
+  });
+});
+
+describe('TristateCheckbox propagation modes', () => {
+  let tristateCheckbox;
+  
+  const createTree = (options, folderAttributes = '') => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="root" />
+          <ul>
+            <li>
+              <input type="checkbox" id="folder" ${folderAttributes} />
+              <ul>
+                <li><input type="checkbox" id="file1" /></li>
+                <li><input type="checkbox" id="file2" /></li>
+              </ul>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    `;
+    tristateCheckbox = new TristateCheckbox('.tristate', options);
+  };
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test("'up' should let children drive their parent without checking parents pushing down", () => {
+    createTree({ propagation: 'up' });
+    
+    document.getElementById('folder').click();
+    expect(tristateCheckbox.getState('folder')).toBe('checked');
+    expect(tristateCheckbox.getState('file1')).toBe('unchecked');
+    expect(tristateCheckbox.getState('root')).toBe('checked');
+    
+    document.getElementById('file1').click();
+    expect(tristateCheckbox.getState('folder')).toBe('indeterminate');
+    expect(tristateCheckbox.getState('root')).toBe('indeterminate');
+  });
+  
+  test("'down' should push to children while parents keep their own value", () => {
+    createTree({ propagation: 'down' });
+    
+    tristateCheckbox.check('root');
+    expect(tristateCheckbox.getChecked().length).toBe(4);
+    
+    // The folder keeps its value but shows that its files are mixed
+    document.getElementById('file1').click();
+    const folder = document.getElementById('folder');
+    expect(folder.checked).toBe(true);
+    expect(folder.indeterminate).toBe(true);
+    expect(tristateCheckbox.getState('folder')).toBe('indeterminate');
+    
+    document.getElementById('file1').click();
+    expect(folder.indeterminate).toBe(false);
+    expect(folder.checked).toBe(true);
+    
+    // A click on a mixed parent with a value clears it, as the browser would
+    document.getElementById('file1').click();
+    folder.click();
+    expect(tristateCheckbox.getChecked().map(checkbox => checkbox.id)).toEqual(['root']);
+  });
+  
+  test("'none' should make every checkbox independent", () => {
+    createTree({ propagation: 'none' });
+    
+    tristateCheckbox.check('folder');
+    expect(tristateCheckbox.getChecked().map(checkbox => checkbox.id)).toEqual(['folder']);
+    expect(tristateCheckbox.getState('root')).toBe('unchecked');
+    
+    tristateCheckbox.check('file2');
+    expect(tristateCheckbox.getState('folder')).toBe('indeterminate');
+    expect(document.getElementById('folder').checked).toBe(true);
+    expect(tristateCheckbox.getState('root')).toBe('indeterminate');
+    expect(document.getElementById('root').checked).toBe(false);
+  });
+  
+  test('a data-tristate-propagation attribute should override the option for one parent', () => {
+    createTree({}, 'data-tristate-propagation="none"');
+    
+    tristateCheckbox.check('folder');
+    expect(tristateCheckbox.getState('file1')).toBe('unchecked');
+    expect(tristateCheckbox.getState('root')).toBe('checked');
+    
+    // Other parents still cascade
+    tristateCheckbox.uncheck('root');
+    expect(tristateCheckbox.getState('folder')).toBe('unchecked');
+    tristateCheckbox.check('root');
+    expect(tristateCheckbox.getState('file1')).toBe('unchecked');
+    expect(tristateCheckbox.getState('folder')).toBe('checked');
+  });
+  
+  test('should reject an unknown propagation mode', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    createTree({ propagation: 'sideways' });
+    
+    expect(error).toHaveBeenCalledWith('TristateCheckbox: Unknown propagation "sideways"');
+    expect(tristateCheckbox.options.propagation).toBe('both');
+    error.mockRestore();
+  });
+});
+
+describe('TristateCheckbox history', () => {
+  let tristateCheckbox;
+  
+  const ids = checkboxes => checkboxes.map(checkbox => checkbox.id);
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="top" />
+          <ul>
+            <li><input type="checkbox" id="a" /></li>
+            <li>
+              <input type="checkbox" id="b" />
+              <ul>
+                <li><input type="checkbox" id="b1" /></li>
+                <li><input type="checkbox" id="b2" /></li>
+              </ul>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    `;
+    
+    tristateCheckbox = new TristateCheckbox('.tristate', { history: 2, historyKeys: true });
+  });
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('undo and redo should restore a user action and its indeterminate states', () => {
+    document.getElementById('b1').click();
+    document.getElementById('top').click();
+    expect(tristateCheckbox.getChecked().length).toBe(5);
+    expect(tristateCheckbox.canUndo).toBe(true);
+    expect(tristateCheckbox.canRedo).toBe(false);
+    
+    expect(tristateCheckbox.undo()).toBe(true);
+    expect(ids(tristateCheckbox.getChecked())).toEqual(['b1']);
+    expect(document.getElementById('b').indeterminate).toBe(true);
+    expect(document.getElementById('top').indeterminate).toBe(true);
+    expect(tristateCheckbox.canRedo).toBe(true);
+    
+    expect(tristateCheckbox.redo()).toBe(true);
+    expect(tristateCheckbox.getState('top')).toBe('checked');
+    expect(document.getElementById('b').indeterminate).toBe(false);
+    
+    tristateCheckbox.undo();
+    tristateCheckbox.undo();
+    expect(tristateCheckbox.getChecked()).toEqual([]);
+    expect(tristateCheckbox.canUndo).toBe(false);
+    expect(tristateCheckbox.undo()).toBe(false);
+  });
+  
+  test('should only record user actions, up to the configured depth', () => {
+    tristateCheckbox.check('a');
+    expect(tristateCheckbox.canUndo).toBe(false);
+    
+    ['b1', 'b2', 'a'].forEach(id => document.getElementById(id).click());
+    tristateCheckbox.undo();
+    tristateCheckbox.undo();
+    
+    expect(tristateCheckbox.canUndo).toBe(false);
+    expect(ids(tristateCheckbox.getChecked())).toEqual(['a', 'b1']);
+  });
+  
+  test('a new action should clear the redo stack', () => {
+    document.getElementById('a').click();
+    tristateCheckbox.undo();
+    document.getElementById('b1').click();
+    
+    expect(tristateCheckbox.canRedo).toBe(false);
+  });
+  
+  test('should recompute ancestors changed since the action', () => {
+    document.getElementById('b1').click();
+    tristateCheckbox.check('b2');
+    tristateCheckbox.undo();
+    
+    expect(tristateCheckbox.getState('b1')).toBe('unchecked');
+    expect(tristateCheckbox.getState('b')).toBe('indeterminate');
+    expect(tristateCheckbox.getState('top')).toBe('indeterminate');
+  });
+  
+  test('Ctrl+Z and Ctrl+Shift+Z should undo and redo inside the root', () => {
+    const a = document.getElementById('a');
+    a.click();
+    
+    const press = options => {
+      const event = new KeyboardEvent('keydown', Object.assign({ key: 'z', ctrlKey: true, bubbles: true, cancelable: true }, options));
+      a.dispatchEvent(event);
+      return event;
+    };
+    
+    expect(press().defaultPrevented).toBe(true);
+    expect(a.checked).toBe(false);
+    
+    press({ key: 'Z', shiftKey: true });
+    expect(a.checked).toBe(true);
+    
+    // Nothing left to redo, so the browser keeps the key
+    expect(press({ key: 'y' }).defaultPrevented).toBe(false);
+  });
+});
+
+describe('TristateCheckbox selection persistence', () => {
+  let tristateCheckbox;
+  
+  const ids = checkboxes => checkboxes.map(checkbox => checkbox.id);
+  
+  const create = options => {
+    tristateCheckbox = new TristateCheckbox('.tristate', options);
+    return tristateCheckbox;
+  };
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="top" />
+          <ul>
+            <li><input type="checkbox" id="a" /></li>
+            <li>
+              <input type="checkbox" id="b" />
+              <ul>
+                <li><input type="checkbox" id="b1" checked /></li>
+                <li><input type="checkbox" id="b2" /></li>
+              </ul>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    `;
+  });
+  
+  afterEach(() => {
+    if (tristateCheckbox) tristateCheckbox.destroy();
+    tristateCheckbox = null;
+    document.body.innerHTML = '';
+    localStorage.clear();
+    sessionStorage.clear();
+    window.history.replaceState(null, '', '/');
+  });
+  
+  test('should store only the topmost fully checked ids', async () => {
+    create({ persistSelection: 'selection' });
+    
+    document.getElementById('b2').click();
+    await Promise.resolve();
+    expect(JSON.parse(localStorage.getItem('selection'))).toEqual(['b']);
+    
+    document.getElementById('a').click();
+    await Promise.resolve();
+    expect(JSON.parse(localStorage.getItem('selection'))).toEqual(['top']);
+    
+    document.getElementById('b1').click();
+    await Promise.resolve();
+    expect(JSON.parse(localStorage.getItem('selection'))).toEqual(['a', 'b2']);
+  });
+  
+  test('should restore the selection before computing parents', () => {
+    localStorage.setItem('selection', JSON.stringify(['b', 'a']));
+    create({ persistSelection: TristateCheckbox.adapters.localStorage('selection') });
+    
+    expect(ids(tristateCheckbox.getChecked())).toEqual(['top', 'a', 'b', 'b1', 'b2']);
+    
+    tristateCheckbox.destroy();
+    localStorage.setItem('selection', JSON.stringify(['b2']));
+    create({ persistSelection: 'selection' });
+    
+    // The stored selection replaces the checked attributes from the markup
+    expect(ids(tristateCheckbox.getChecked())).toEqual(['b2']);
+    expect(document.getElementById('b').indeterminate).toBe(true);
+    expect(document.getElementById('top').indeterminate).toBe(true);
+  });
+  
+  test('should keep the markup state without a stored selection', async () => {
+    create({ persistSelection: TristateCheckbox.adapters.sessionStorage('selection') });
+    
+    expect(ids(tristateCheckbox.getChecked())).toEqual(['b1']);
+    expect(sessionStorage.getItem('selection')).toBe(null);
+    
+    tristateCheckbox.uncheck('b1');
+    await Promise.resolve();
+    expect(sessionStorage.getItem('selection')).toBe('[]');
+  });
+  
+  test('the query adapter should read and replace a URL parameter', async () => {
+    window.history.replaceState(null, '', '/?page=2&files=a');
+    create({ persistSelection: TristateCheckbox.adapters.query('files') });
+    
+    expect(ids(tristateCheckbox.getChecked())).toEqual(['a']);
+    
+    tristateCheckbox.check('b1');
+    await Promise.resolve();
+    expect(window.location.search).toBe('?page=2&files=a%2Cb1');
+  });
+  
+  test('the hash adapter should read and replace a hash parameter', async () => {
+    window.history.replaceState(null, '', '/#tristate=b1,b2');
+    create({ persistSelection: TristateCheckbox.adapters.hash() });
+    
+    expect(tristateCheckbox.getState('b')).toBe('checked');
+    
+    document.getElementById('a').click();
+    await Promise.resolve();
+    expect(window.location.hash).toBe('#tristate=top');
+  });
+  
+  test('locked checkboxes should keep their markup state', () => {
+    document.getElementById('b1').disabled = true;
+    localStorage.setItem('selection', JSON.stringify(['top']));
+    create({ persistSelection: 'selection' });
+    
+    expect(document.getElementById('a').checked).toBe(true);
+    expect(document.getElementById('b1').checked).toBe(true);
+    expect(document.getElementById('b2').checked).toBe(true);
+  });
+  
+  test('should report a broken store', () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    create({ persistSelection: { load: () => { throw new Error('nope'); }, save: () => {} } });
+    
+    expect(consoleSpy).toHaveBeenCalledWith('TristateCheckbox: Could not load the selection', expect.any(Error));
+    expect(ids(tristateCheckbox.getChecked())).toEqual(['b1']);
+    consoleSpy.mockRestore();
+  });
+  
+  test('should ignore a stored value that is not a list', () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.setItem('selection', JSON.stringify({ a: 1 }));
+    localStorage.setItem('expanded', '"top"');
+    create({ persistSelection: 'selection', persistExpanded: 'expanded', collapsible: true });
+    
+    expect(consoleSpy).toHaveBeenCalledWith('TristateCheckbox: Ignoring the stored selection, which is not a list of ids');
+    expect(consoleSpy).toHaveBeenCalledWith('TristateCheckbox: Ignoring the stored expanded state, which is not a list of ids');
+    expect(ids(tristateCheckbox.getChecked())).toEqual(['b1']);
+    consoleSpy.mockRestore();
+  });
+  
+  test('should write once for a run of changes', async () => {
+    const save = jest.fn();
+    create({ persistSelection: { load: () => null, save } });
+    
+    tristateCheckbox.check('a');
+    tristateCheckbox.check('b2');
+    tristateCheckbox.uncheck('b1');
+    expect(save).not.toHaveBeenCalled();
+    
+    await Promise.resolve();
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(save).toHaveBeenCalledWith(['a', 'b2']);
+    
+    // Nothing is written when the selection comes back to the stored one
+    tristateCheckbox.check('b1');
+    tristateCheckbox.uncheck('b1');
+    await Promise.resolve();
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+  
+  test('should not let two trees share a store', () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    document.body.insertAdjacentHTML('beforeend', '<ul class="other"><li><input type="checkbox" id="other" /></li></ul>');
+    create({ persistSelection: TristateCheckbox.adapters.query() });
+    const other = new TristateCheckbox('.other', { persistSelection: TristateCheckbox.adapters.query() });
+    
+    expect(consoleSpy).toHaveBeenCalledWith(
+      'TristateCheckbox: persistSelection uses "query:tristate", which another tree already stores in; give it its own key or param'
+    );
+    expect(other.options.persistSelection).toBe(null);
+    other.destroy();
+    
+    // The key is free again once its tree is destroyed
+    tristateCheckbox.destroy();
+    create({ persistSelection: TristateCheckbox.adapters.query() });
+    expect(tristateCheckbox.options.persistSelection).not.toBe(null);
+    consoleSpy.mockRestore();
+  });
+});
+
+describe('TristateCheckbox bulk operations', () => {
+  let tristateCheckbox;
+  
+  const ids = checkboxes => checkboxes.map(checkbox => checkbox.id);
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="users" />
+          <label for="users">Users</label>
+          <ul>
+            <li><input type="checkbox" id="users-read" value="users:read" /></li>
+            <li><input type="checkbox" id="users-write" value="users:write" /></li>
+          </ul>
+        </li>
+        <li>
+          <input type="checkbox" id="billing" />
+          <label for="billing">Billing</label>
+          <ul>
+            <li><input type="checkbox" id="billing-read" value="billing:read" checked /></li>
+            <li><input type="checkbox" id="billing-write" value="billing:write" checked /></li>
+            <li><input type="checkbox" id="billing-admin" value="billing:admin" disabled /></li>
+          </ul>
+        </li>
+      </ul>
+    `;
+    
+    tristateCheckbox = new TristateCheckbox('.tristate');
+  });
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('selectWhere should check matches and dispatch one change event', () => {
+    const changeSpy = jest.fn();
+    document.querySelector('.tristate').addEventListener('tristate:change', changeSpy);
+    
+    const matched = tristateCheckbox.selectWhere(checkbox => checkbox.value.endsWith(':read'));
+    
+    expect(ids(matched)).toEqual(['users-read', 'billing-read']);
+    expect(changeSpy).toHaveBeenCalledTimes(1);
+    expect(changeSpy.mock.calls[0][0].detail.source).toBe(null);
+    expect(ids(changeSpy.mock.calls[0][0].detail.changes.map(change => change.checkbox)).sort()).toEqual(['users', 'users-read']);
+    expect(tristateCheckbox.getState('users')).toBe('indeterminate');
+  });
+  
+  test('deselectWhere should clear a branch matched by its label', () => {
+    tristateCheckbox.deselectWhere((checkbox, label) => label === 'Billing');
+    
+    expect(tristateCheckbox.getChecked()).toEqual([]);
+    expect(tristateCheckbox.getState('billing')).toBe('unchecked');
+  });
+  
+  test('selectByValues should check matching values and keep the rest', () => {
+    const matched = tristateCheckbox.selectByValues(['users:read', 'users:write', 'billing-admin']);
+    
+    expect(ids(matched)).toEqual(['users-read', 'users-write']);
+    expect(tristateCheckbox.getState('users')).toBe('checked');
+    expect(document.getElementById('billing-read').checked).toBe(true);
+  });
+  
+  test('checkAll and uncheckAll should leave locked checkboxes alone', () => {
+    tristateCheckbox.checkAll();
+    expect(ids(tristateCheckbox.getChecked('leaves'))).toEqual(['users-read', 'users-write', 'billing-read', 'billing-write']);
+    expect(tristateCheckbox.getState('billing')).toBe('checked');
+    
+    tristateCheckbox.uncheckAll(0);
+    expect(tristateCheckbox.getChecked()).toEqual([]);
+  });
+  
+  test('invert should flip every leaf and recompute the parents', () => {
+    tristateCheckbox.check('users-read');
+    tristateCheckbox.invert();
+    
+    expect(ids(tristateCheckbox.getChecked())).toEqual(['users-write']);
+    expect(tristateCheckbox.getState('users')).toBe('indeterminate');
+    expect(tristateCheckbox.getState('billing')).toBe('unchecked');
+  });
+  
+  test('a batch should respect exclusive parents', () => {
+    document.getElementById('users').setAttribute('data-tristate-exclusive', '');
+    tristateCheckbox.refresh();
+    
+    tristateCheckbox.selectWhere(checkbox => checkbox.id.startsWith('users-'));
+    
+    expect(ids(tristateCheckbox.getChecked())).toEqual(['users', 'users-read', 'billing', 'billing-read', 'billing-write']);
+  });
+});
+
+describe('TristateCheckbox summary and badges', () => {
+  let tristateCheckbox;
+  
+  const badgeOf = id => document.getElementById(id).parentElement.querySelector(':scope > .tristate-count');
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="top" />
+          <label for="top">Top</label>
+          <ul>
+            <li><input type="checkbox" id="a" checked /></li>
+            <li>
+              <input type="checkbox" id="b" />
+              <ul>
+                <li><input type="checkbox" id="b1" checked /></li>
+                <li><input type="checkbox" id="b2" /></li>
+                <li><input type="checkbox" id="b3" disabled /></li>
+              </ul>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    `;
+  });
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('getSummary should count leaves and mixed descendants', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate');
+    
+    const top = tristateCheckbox.getSummary('top');
+    expect(top.checkbox).toBe(document.getElementById('top'));
+    expect([top.state, top.checked, top.total, top.indeterminate]).toEqual(['indeterminate', 2, 4, 1]);
+    
+    const leaf = tristateCheckbox.getSummary('a');
+    expect([leaf.checked, leaf.total, leaf.indeterminate]).toEqual([1, 1, 0]);
+    
+    expect(tristateCheckbox.getSummary().map(summary => summary.checkbox.id)).toEqual(['top', 'b']);
+    expect(tristateCheckbox.getSummary('missing')).toBe(null);
+  });
+  
+  test('counts should follow every change', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate');
+    
+    document.getElementById('b').click();
+    expect(tristateCheckbox.getSummary('b').checked).toBe(2);
+    
+    // The locked leaf is left out of b's state, but still counted
+    expect(tristateCheckbox.getSummary('top').indeterminate).toBe(0);
+    expect(tristateCheckbox.getSummary('top').total).toBe(4);
+    
+    tristateCheckbox.uncheck('b2');
+    expect(tristateCheckbox.getSummary('top').indeterminate).toBe(1);
+    
+    tristateCheckbox.uncheck('top');
+    expect(tristateCheckbox.getSummary('top').checked).toBe(0);
+    expect(tristateCheckbox.getSummary('top').indeterminate).toBe(0);
+    
+    tristateCheckbox.check('b3');
+    expect(tristateCheckbox.getSummary('b').checked).toBe(1);
+    expect(tristateCheckbox.getSummary('top').checked).toBe(1);
+  });
+  
+  test('should show a badge in every parent', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { badges: true });
+    
+    // After the label when there is one, else after the checkbox
+    expect(document.querySelector('label[for="top"]').nextElementSibling).toBe(badgeOf('top'));
+    expect(document.getElementById('b').nextElementSibling).toBe(badgeOf('b'));
+    expect(badgeOf('top').textContent).toBe('2/4');
+    expect(badgeOf('b').textContent).toBe('1/3');
+    expect(badgeOf('a')).toBe(null);
+    
+    document.getElementById('b2').click();
+    expect(badgeOf('top').textContent).toBe('3/4');
+    expect(badgeOf('b').textContent).toBe('2/3');
+    
+    tristateCheckbox.destroy();
+    expect(document.querySelectorAll('.tristate-count').length).toBe(0);
+  });
+  
+  test('a formatter should set the badge text, hiding empty badges', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', {
+      badges: ({ checked, total }) => (checked ? `${checked} of ${total}` : '')
+    });
+    
+    expect(badgeOf('top').textContent).toBe('2 of 4');
+    
+    tristateCheckbox.uncheck('b1');
+    expect(badgeOf('b').hidden).toBe(true);
+    expect(badgeOf('top').hidden).toBe(false);
+  });
+  
+  test('should keep the counts and badges current as items are added and removed', async () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { badges: true, observe: true });
+    
+    const li = document.createElement('li');
+    li.innerHTML = '<input type="checkbox" id="a1" checked /><input type="checkbox" id="ignored" />';
+    const group = document.createElement('ul');
+    group.appendChild(li);
+    document.getElementById('a').parentElement.appendChild(group);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    expect(badgeOf('a').textContent).toBe('1/1');
+    expect(badgeOf('top').textContent).toBe('2/4');
+    
+    group.remove();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    expect(badgeOf('a')).toBe(null);
+    expect(tristateCheckbox.getSummary('top').total).toBe(4);
+  });
+  
+  test('badge and toggle updates should not relink the tree', async () => {
+    tristateCheckbox.destroy();
+    tristateCheckbox = new TristateCheckbox('.tristate', { badges: true, collapsible: true, observe: true });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const relink = jest.spyOn(tristateCheckbox, '_relinkScopes');
+    const linkRoot = jest.spyOn(tristateCheckbox, '_linkRoot');
+    
+    document.getElementById('b1').click();
+    tristateCheckbox.collapseAll();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    expect(badgeOf('b').textContent).not.toBe('');
+    expect(relink).not.toHaveBeenCalled();
+    expect(linkRoot).not.toHaveBeenCalled();
+  });
+});
+
+describe('TristateCheckbox lazy loading', () => {
+  let tristateCheckbox;
+  let loader;
+  
+  const ids = checkboxes => checkboxes.map(checkbox => checkbox.id);
+  
+  const people = {
+    sales: [
+      { id: 'ann', label: 'Ann', checked: true },
+      { id: 'bob', label: 'Bob' },
+      { id: 'emea', label: 'EMEA', lazy: true, checkedCount: 1, totalCount: 4 }
+    ],
+    emea: [
+      { id: 'cara', label: 'Cara', checked: true },
+      { id: 'dan', label: 'Dan' }
+    ]
+  };
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="company" />
+          <ul>
+            <li>
+              <input type="checkbox" id="sales" data-tristate-lazy data-tristate-checked-count="3" data-tristate-total-count="10" />
+              <label for="sales">Sales</label>
+              <ul hidden></ul>
+            </li>
+            <li><input type="checkbox" id="ceo" /></li>
+          </ul>
+        </li>
+      </ul>
+    `;
+    
+    loader = jest.fn(checkbox => Promise.resolve(people[checkbox.id]));
+  });
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('server counts should set the state of an unloaded parent', () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { loadChildren: loader });
+    
+    expect(tristateCheckbox.getState('sales')).toBe('indeterminate');
+    expect(document.getElementById('sales').indeterminate).toBe(true);
+    expect(tristateCheckbox.getState('company')).toBe('indeterminate');
+    
+    const summary = tristateCheckbox.getSummary('company');
+    expect([summary.checked, summary.total]).toEqual([3, 11]);
+    expect(loader).not.toHaveBeenCalled();
+  });
+  
+  test('expanding should load the children once', async () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { loadChildren: loader, collapsible: true });
+    const loadSpy = jest.fn();
+    document.querySelector('.tristate').addEventListener('tristate:load', loadSpy);
+    
+    tristateCheckbox.expand('sales');
+    const loading = tristateCheckbox.load('sales');
+    expect(document.getElementById('sales').parentElement.getAttribute('aria-busy')).toBe('true');
+    
+    expect(await loading).toBe(true);
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(loader.mock.calls[0][0]).toBe(document.getElementById('sales'));
+    expect(ids(loadSpy.mock.calls[0][0].detail.children)).toEqual(['ann', 'bob', 'emea']);
+    
+    // The loaded children take over from the server counts
+    expect(ids(tristateCheckbox.getChecked())).toEqual(['ann']);
+    expect(tristateCheckbox.getState('emea')).toBe('indeterminate');
+    expect(tristateCheckbox.getSummary('sales').total).toBe(6);
+    expect(document.getElementById('sales').hasAttribute('data-tristate-lazy')).toBe(false);
+    
+    // The nested lazy item gets a toggle of its own
+    expect(document.getElementById('emea').parentElement.querySelector(':scope > .tristate-toggle')).not.toBe(null);
+    expect(await tristateCheckbox.load('sales')).toBe(false);
+  });
+  
+  test('checking an unloaded parent should apply to its children once they load', async () => {
+    tristateCheckbox = new TristateCheckbox('.tristate', { loadChildren: loader });
+    
+    document.getElementById('sales').click();
+    expect(tristateCheckbox.getState('sales')).toBe('checked');
+    expect(tristateCheckbox.getSummary('company').checked).toBe(10);
+    
+    await tristateCheckbox.load('sales');
+    expect(ids(tristateCheckbox.getChecked('leaves'))).toEqual(['ann', 'bob', 'emea']);
+    expect(tristateCheckbox.getState('emea')).toBe('checked');
+    
+    tristateCheckbox.uncheck('emea');
+    await tristateCheckbox.load('emea');
+    expect(document.getElementById('cara').checked).toBe(false);
+    expect(tristateCheckbox.getState('sales')).toBe('indeterminate');
+  });
+  
+  test('should report loading errors and allow a retry', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    loader.mockImplementationOnce(() => Promise.reject(new Error('offline')));
+    tristateCheckbox = new TristateCheckbox('.tristate', { loadChildren: loader });
+    
+    expect(await tristateCheckbox.load('sales')).toBe(false);
+    expect(consoleSpy).toHaveBeenCalledWith('TristateCheckbox: Could not load the children', expect.any(Error));
+    expect(document.getElementById('sales').parentElement.hasAttribute('aria-busy')).toBe(false);
+    
+    expect(await tristateCheckbox.load('sales')).toBe(true);
+    consoleSpy.mockRestore();
+  });
+  
+  test('should report a loader result that is not a list', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    loader.mockImplementationOnce(() => Promise.resolve({ error: 'not found' }));
+    tristateCheckbox = new TristateCheckbox('.tristate', { loadChildren: loader });
+    const item = document.getElementById('sales').parentElement;
+    const groups = item.querySelectorAll('ul').length;
+    
+    expect(await tristateCheckbox.load('sales')).toBe(false);
+    expect(consoleSpy).toHaveBeenCalledWith('TristateCheckbox: loadChildren did not resolve to a list of children', { error: 'not found' });
+    expect(item.querySelectorAll('ul').length).toBe(groups);
+    expect(document.getElementById('sales').hasAttribute('data-tristate-lazy')).toBe(true);
+    
+    expect(await tristateCheckbox.load('sales')).toBe(true);
+    consoleSpy.mockRestore();
+  });
+  
+  test('expanding should report children that cannot be added', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    loader.mockImplementationOnce(() => Promise.resolve([null]));
+    tristateCheckbox = new TristateCheckbox('.tristate', { loadChildren: loader, collapsible: true });
+    
+    tristateCheckbox.expand('sales');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    expect(consoleSpy).toHaveBeenCalledWith('TristateCheckbox: Could not add the loaded children', expect.any(TypeError));
+    expect(document.getElementById('sales').parentElement.hasAttribute('aria-busy')).toBe(false);
+    expect(tristateCheckbox._loading.size).toBe(0);
+    consoleSpy.mockRestore();
+  });
+  
+  test('render data and toJSON should carry lazy items', () => {
+    tristateCheckbox = TristateCheckbox.render(document.body, people.sales, { loadChildren: loader });
+    
+    const emea = document.getElementById('emea');
+    expect(emea.getAttribute('data-tristate-total-count')).toBe('4');
+    expect(emea.parentElement.querySelector('ul').hidden).toBe(true);
+    
+    const json = tristateCheckbox.toJSON()[2];
+    expect([json.lazy, json.checkedCount, json.totalCount, json.state]).toEqual([true, 1, 4, 'indeterminate']);
+  });
+});
+
+describe('TristateCheckbox cycleIndeterminate', () => {
+  let tristateCheckbox;
+  let top;
+  
+  const ids = checkboxes => checkboxes.map(checkbox => checkbox.id);
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="tristate">
+        <li>
+          <input type="checkbox" id="top" />
+          <ul>
+            <li><input type="checkbox" id="a" /></li>
+            <li>
+              <input type="checkbox" id="b" />
+              <ul>
+                <li><input type="checkbox" id="b1" checked /></li>
+                <li><input type="checkbox" id="b2" /></li>
+              </ul>
+            </li>
+          </ul>
+        </li>
+      </ul>
+    `;
+    
+    tristateCheckbox = new TristateCheckbox('.tristate', { cycleIndeterminate: true, history: 10 });
+    top = document.getElementById('top');
+  });
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('clicking a mixed parent should cycle through checked, unchecked and the remembered mix', () => {
+    top.click();
+    expect(tristateCheckbox.getChecked().length).toBe(5);
+    
+    top.click();
+    expect(tristateCheckbox.getChecked()).toEqual([]);
+    
+    top.click();
+    expect(ids(tristateCheckbox.getChecked())).toEqual(['b1']);
+    expect(top.indeterminate).toBe(true);
+    expect(document.getElementById('b').indeterminate).toBe(true);
+    
+    top.click();
+    expect(tristateCheckbox.getChecked().length).toBe(5);
+    expect(top.indeterminate).toBe(false);
+  });
+  
+  test('beforechange should report the remembered mix as the next state', () => {
+    top.click();
+    top.click();
+    
+    const beforeSpy = jest.fn();
+    top.addEventListener('tristate:beforechange', beforeSpy);
+    top.click();
+    
+    expect(beforeSpy.mock.calls[0][0].detail.after).toBe('indeterminate');
+  });
+  
+  test('changing the subtree another way should forget the mix', () => {
+    top.click();
+    top.click();
+    
+    document.getElementById('a').click();
+    document.getElementById('a').click();
+    expect(tristateCheckbox.getState('top')).toBe('unchecked');
+    
+    top.click();
+    expect(tristateCheckbox.getState('top')).toBe('checked');
+  });
+  
+  test('a parent cycle should make nested parents forget their mix', () => {
+    const b = document.getElementById('b');
+    b.click();
+    b.click();
+    top.click();
+    top.click();
+    
+    // Checking top replaced b's subtree, so b no longer returns to b1 alone
+    b.click();
+    expect(ids(tristateCheckbox.getChecked())).toEqual(['b', 'b1', 'b2']);
+  });
+  
+  test('undo should step back through the cycle', () => {
+    top.click();
+    top.click();
+    top.click();
+    tristateCheckbox.undo();
+    
+    expect(tristateCheckbox.getChecked()).toEqual([]);
+    expect(top.checked).toBe(false);
+    expect(top.indeterminate).toBe(false);
+  });
+  
+  test('leaves should toggle as usual', () => {
+    document.getElementById('b1').click();
+    expect(tristateCheckbox.getChecked()).toEqual([]);
+  });
+});
+
+describe('TristateCheckbox in shadow roots and iframes', () => {
+  let tristateCheckbox;
+  
+  const markup = `
+    <ul class="tristate">
+      <li>
+        <input type="checkbox" id="parent" />
+        <label for="parent">Parent</label>
+        <ul>
+          <li><input type="checkbox" id="child1" /></li>
+          <li><input type="checkbox" id="child2" /></li>
+        </ul>
+      </li>
+    </ul>
+  `;
+  
+  afterEach(() => {
+    if (tristateCheckbox) tristateCheckbox.destroy();
+    tristateCheckbox = null;
+    document.body.innerHTML = '';
+  });
+  
+  test('should find roots and checkboxes inside an open shadow root', async () => {
+    const host = document.createElement('div');
+    document.body.appendChild(host);
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = markup;
+    
+    tristateCheckbox = new TristateCheckbox('.tristate', { root: shadow, observe: true, badges: true });
+    expect(tristateCheckbox.roots).toEqual([shadow.querySelector('.tristate')]);
+    
+    const changeSpy = jest.fn();
+    host.addEventListener('tristate:change', changeSpy);
+    shadow.getElementById('child1').click();
+    
+    expect(tristateCheckbox.getState('parent')).toBe('indeterminate');
+    expect(shadow.getElementById('parent').indeterminate).toBe(true);
+    expect(changeSpy).not.toHaveBeenCalled();
+    
+    tristateCheckbox.check('child2');
+    expect(shadow.getElementById('parent').checked).toBe(true);
+    
+    const li = document.createElement('li');
+    li.innerHTML = '<input type="checkbox" id="child3" />';
+    shadow.getElementById('child2').closest('ul').appendChild(li);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    expect(tristateCheckbox.getState('parent')).toBe('indeterminate');
+    expect(shadow.querySelector('.tristate-count').textContent).toBe('2/3');
+  });
+  
+  test('should accept elements from a same-origin iframe', () => {
+    const iframe = document.createElement('iframe');
+    document.body.appendChild(iframe);
+    const frameDocument = iframe.contentDocument;
+    frameDocument.body.innerHTML = markup;
+    
+    const list = frameDocument.querySelector('.tristate');
+    expect(list instanceof Element).toBe(false);
+    
+    tristateCheckbox = new TristateCheckbox(list);
+    expect(tristateCheckbox.roots).toEqual([list]);
+    
+    const changeSpy = jest.fn();
+    list.addEventListener('tristate:change', changeSpy);
+    frameDocument.getElementById('parent').click();
+    
+    expect(frameDocument.getElementById('child2').checked).toBe(true);
+    expect(changeSpy).toHaveBeenCalledTimes(1);
+    expect(changeSpy.mock.calls[0][0] instanceof iframe.contentWindow.CustomEvent).toBe(true);
+    
+    tristateCheckbox.uncheck('child1');
+    expect(frameDocument.getElementById('parent').indeterminate).toBe(true);
+  });
+  
+  test('render and the root option should work with an iframe document', () => {
+    const iframe = document.createElement('iframe');
+    document.body.appendChild(iframe);
+    
+    tristateCheckbox = TristateCheckbox.render(iframe.contentDocument.body, [
+      { id: 'a', label: 'A', children: [{ id: 'a1', label: 'A1', checked: true }, { id: 'a2', label: 'A2' }] }
+    ]);
+    
+    expect(iframe.contentDocument.getElementById('a').indeterminate).toBe(true);
+    tristateCheckbox.destroy();
+    tristateCheckbox = new TristateCheckbox('.tristate', { root: iframe.contentDocument });
+    expect(tristateCheckbox.roots).toEqual([iframe.contentDocument.querySelector('.tristate')]);
+  });
+});
+
+describe('TristateCheckbox auto-initialization', () => {
+  const flushMutations = () => new Promise(resolve => setTimeout(resolve, 0));
+  
+  const tree = attributes => `
+    <ul data-tristate ${attributes}>
+      <li>
+        <input type="checkbox" id="parent" />
+        <ul>
+          <li><input type="checkbox" id="child1" /></li>
+          <li><input type="checkbox" id="child2" /></li>
+        </ul>
+      </li>
+    </ul>
+  `;
+  
+  afterEach(() => {
+    document.querySelectorAll('[data-tristate]').forEach(element => {
+      const instance = TristateCheckbox.getInstance(element);
+      if (instance) instance.destroy();
+    });
+    document.body.innerHTML = '';
+    sessionStorage.clear();
+  });
+  
+  test('should initialize data-tristate elements with options from attributes', () => {
+    document.body.innerHTML = tree('data-tristate-propagation="up" data-tristate-collapsible data-tristate-history="5" data-tristate-accessible="false"');
+    const [instance] = TristateCheckbox.autoInit();
+    
+    expect(TristateCheckbox.getInstance(document.querySelector('[data-tristate]'))).toBe(instance);
+    expect(instance.options.propagation).toBe('up');
+    expect(instance.options.collapsible).toBe(true);
+    expect(instance.options.accessible).toBe(false);
+    expect(instance.options.history).toBe(5);
+    
+    document.getElementById('parent').click();
+    expect(document.getElementById('child1').checked).toBe(false);
+  });
+  
+  test('running it twice should reuse the existing instance', () => {
+    document.body.innerHTML = tree('');
+    const [first] = TristateCheckbox.autoInit();
+    const [second] = TristateCheckbox.autoInit(document.body);
+    
+    expect(second).toBe(first);
+    
+    const changeSpy = jest.fn();
+    document.querySelector('[data-tristate]').addEventListener('tristate:change', changeSpy);
+    document.getElementById('child1').click();
+    expect(changeSpy).toHaveBeenCalledTimes(1);
+  });
+  
+  test('data-tristate-persist should select a store', async () => {
+    document.body.innerHTML = tree('data-tristate-persist="session:tree"');
+    TristateCheckbox.autoInit();
+    
+    document.getElementById('child1').click();
+    await Promise.resolve();
+    expect(sessionStorage.getItem('tree')).toBe('["child1"]');
+    
+    const store = TristateCheckbox._parseStore('query:files');
+    expect(typeof store.load).toBe('function');
+    expect(TristateCheckbox._parseStore('selection')).toBe('selection');
+  });
+  
+  test('should report attributes that are not numbers', () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    document.body.innerHTML = tree('data-tristate-history="lots"');
+    
+    const [instance] = TristateCheckbox.autoInit();
+    expect(consoleSpy).toHaveBeenCalledWith('TristateCheckbox: Invalid number "lots" for data-tristate-history');
+    expect(instance.options.history).toBe(0);
+    consoleSpy.mockRestore();
+  });
+  
+  test('loading the script should only watch the document when asked to', () => {
+    const loaded = window.TristateCheckbox;
+    const script = document.createElement('script');
+    Object.defineProperty(document, 'currentScript', { value: script, configurable: true });
+    
+    jest.isolateModules(() => {
+      expect(require('../tristate-checkbox')._autoInit).toBe(null);
+    });
+    
+    script.setAttribute('data-tristate-auto', '');
+    jest.isolateModules(() => {
+      const Fresh = require('../tristate-checkbox');
+      expect(Fresh._autoInit).not.toBe(null);
+      Fresh.stopAutoInit();
+    });
+    
+    delete document.currentScript;
+    window.TristateCheckbox = loaded;
+  });
+  
+  test('elements added later should be initialized, and removed ones destroyed', async () => {
+    TristateCheckbox.startAutoInit();
+    const container = document.createElement('div');
+    container.innerHTML = tree('');
+    document.body.appendChild(container);
+    await flushMutations();
+    
+    const root = container.querySelector('[data-tristate]');
+    const instance = TristateCheckbox.getInstance(root);
+    expect(instance).not.toBe(null);
+    
+    document.getElementById('parent').click();
+    expect(document.getElementById('child2').checked).toBe(true);
+    
+    container.remove();
+    await flushMutations();
+    
+    expect(TristateCheckbox.getInstance(root)).toBe(null);
+    root.querySelector('#child1').click();
+    expect(root.querySelector('#parent').indeterminate).toBe(false);
+    TristateCheckbox.stopAutoInit();
+  });
+  
+  test('items added to an initialized tree should not be searched', async () => {
+    document.body.innerHTML = tree('');
+    TristateCheckbox.startAutoInit();
+    const autoInit = jest.spyOn(TristateCheckbox, 'autoInit');
+    
+    const li = document.createElement('li');
+    li.innerHTML = '<input type="checkbox" id="child3" />';
+    document.getElementById('child1').closest('ul').appendChild(li);
+    await flushMutations();
+    
+    expect(autoInit).not.toHaveBeenCalled();
+    autoInit.mockRestore();
+    TristateCheckbox.stopAutoInit();
+  });
+  
+  test('stopAutoInit should stop watching the document', async () => {
+    TristateCheckbox.startAutoInit();
+    TristateCheckbox.stopAutoInit();
+    document.body.innerHTML = tree('');
+    await flushMutations();
+    
+    expect(TristateCheckbox.getInstance(document.querySelector('[data-tristate]'))).toBe(null);
+    TristateCheckbox.startAutoInit();
+    
+    // Starting again picks up what is already there
+    expect(TristateCheckbox.getInstance(document.querySelector('[data-tristate]'))).not.toBe(null);
+    TristateCheckbox.stopAutoInit();
+  });
+  
+  test('getInstance should return null for elements without an instance', () => {
+    expect(TristateCheckbox.getInstance(document.body)).toBe(null);
+  });
+});
+
+describe('TristateCheckbox hydration', () => {
+  let tristateCheckbox;
+  
+  const data = [
+    {
+      id: 'top',
+      label: 'Top',
+      children: [
+        { id: 'a', label: 'A', checked: true },
+        { id: 'b', label: 'B', children: [{ id: 'b1', label: 'B1' }, { id: 'b2', label: 'B2' }] }
+      ]
+    }
+  ];
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('should take the parent states from server-rendered markers', () => {
+    document.body.innerHTML = TristateCheckbox.renderToString(data);
+    const top = document.getElementById('top');
+    
+    const computeSpy = jest.spyOn(TristateCheckbox.prototype, '_computeNodeState');
+    tristateCheckbox = new TristateCheckbox('.tristate');
+    expect(computeSpy).not.toHaveBeenCalled();
+    computeSpy.mockRestore();
+    
+    expect(top.indeterminate).toBe(true);
+    expect(tristateCheckbox.getState('b')).toBe('unchecked');
+    expect(top.hasAttribute('aria-checked')).toBe(false);
+    expect(top.hasAttribute('data-tristate-mixed')).toBe(false);
+    expect(document.querySelector('.tristate').hasAttribute('data-tristate-hydrate')).toBe(false);
+    
+    document.getElementById('b').click();
+    expect(tristateCheckbox.getState('top')).toBe('checked');
+    expect(tristateCheckbox.getSummary('top').checked).toBe(3);
+  });
+  
+  test('should match the states of a tree rendered on the client', () => {
+    document.body.innerHTML = TristateCheckbox.renderToString(data);
+    tristateCheckbox = new TristateCheckbox('.tristate');
+    const hydrated = tristateCheckbox.toJSON();
+    tristateCheckbox.destroy();
+    
+    tristateCheckbox = TristateCheckbox.render(document.body, data);
+    expect(tristateCheckbox.toJSON()).toEqual(hydrated);
+  });
+  
+  test('should correct markers the client configuration disagrees with', () => {
+    document.body.innerHTML = TristateCheckbox.renderToString(data);
+    const top = document.getElementById('top');
+    top.setAttribute('data-tristate-exclusive', '');
+    tristateCheckbox = new TristateCheckbox('.tristate');
+    
+    expect(tristateCheckbox.getState('top')).toBe('checked');
+    expect(top.indeterminate).toBe(false);
+    expect(top.checked).toBe(true);
+  });
+  
+  test('should recompute the parents whose children are partly left out', () => {
+    document.body.innerHTML = TristateCheckbox.renderToString(data);
+    document.getElementById('a').setAttribute('data-tristate-locked', '');
+    tristateCheckbox = new TristateCheckbox('.tristate');
+    
+    // Only the unlocked, unchecked B counts toward Top
+    expect(tristateCheckbox.getState('top')).toBe('unchecked');
+    expect(tristateCheckbox.getState('b')).toBe('unchecked');
+  });
+  
+  test('should correct markers when the browser restored other checkbox states', () => {
+    document.body.innerHTML = TristateCheckbox.renderToString(data);
+    document.getElementById('b1').checked = true;
+    document.getElementById('b2').checked = true;
+    tristateCheckbox = new TristateCheckbox('.tristate');
+    
+    expect(tristateCheckbox.getState('b')).toBe('checked');
+    expect(tristateCheckbox.getState('top')).toBe('checked');
+    expect(document.getElementById('top').indeterminate).toBe(false);
+  });
+  
+  test('a persisted selection should be recomputed instead', () => {
+    localStorage.setItem('hydrated', JSON.stringify(['b1']));
+    document.body.innerHTML = TristateCheckbox.renderToString(data);
+    tristateCheckbox = new TristateCheckbox('.tristate', { persistSelection: 'hydrated' });
+    
+    expect(tristateCheckbox.getState('b')).toBe('indeterminate');
+    expect(document.getElementById('a').checked).toBe(false);
+    localStorage.clear();
+  });
+});
+
+describe('TristateCheckbox controlled value', () => {
+  let tristateCheckbox;
+  
+  const data = [
+    {
+      id: 'fruit',
+      label: 'Fruit',
+      children: [
+        { id: 'apple', label: 'Apple' },
+        { id: 'pear', label: 'Pear' }
+      ]
+    },
+    {
+      id: 'veg',
+      label: 'Vegetables',
+      children: [
+        { id: 'kale', label: 'Kale' },
+        { id: 'leek', label: 'Leek' }
+      ]
+    }
+  ];
+  
+  beforeEach(() => {
+    tristateCheckbox = TristateCheckbox.render(document.body, data);
+  });
+  
+  afterEach(() => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '';
+  });
+  
+  test('getValue should read the index rather than the checkboxes', () => {
+    tristateCheckbox.setValue(['apple', 'pear', 'kale']);
+    document.getElementById('leek').checked = true;
+    
+    expect(tristateCheckbox.getValue()).toEqual(['apple', 'pear', 'kale']);
+    expect(tristateCheckbox.getValue('topmost')).toEqual(['fruit', 'kale']);
+    expect(tristateCheckbox.getValue('all')).toEqual(['fruit', 'apple', 'pear', 'kale']);
+  });
+  
+  test('setValue should restore a value read with any mode', () => {
+    tristateCheckbox.setValue(['fruit', 'leek']);
+    expect(tristateCheckbox.getValue()).toEqual(['apple', 'pear', 'leek']);
+    expect(tristateCheckbox.getState('veg')).toBe('indeterminate');
+    
+    tristateCheckbox.setValue(['kale']);
+    expect(tristateCheckbox.getValue('all')).toEqual(['kale']);
+  });
+  
+  test('setValue should set locked checkboxes too', () => {
+    tristateCheckbox.destroy();
+    document.getElementById('kale').setAttribute('data-tristate-locked', '');
+    tristateCheckbox = new TristateCheckbox('.tristate');
+    
+    tristateCheckbox.setValue(['kale']);
+    expect(tristateCheckbox.getState('kale')).toBe('checked');
+  });
+  
+  test('a user change should be reported and undone until the value comes back', () => {
+    const onChange = jest.fn();
+    const control = tristateCheckbox.control({ value: ['apple'], onChange });
+    expect(document.getElementById('apple').checked).toBe(true);
+    
+    document.getElementById('veg').click();
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange.mock.calls[0][0]).toEqual(['apple', 'kale', 'leek']);
+    expect(onChange.mock.calls[0][1].source).toBe(document.getElementById('veg'));
+    expect(tristateCheckbox.getValue()).toEqual(['apple']);
+    expect(document.getElementById('kale').checked).toBe(false);
+    
+    control.update(onChange.mock.calls[0][0]);
+    expect(tristateCheckbox.getState('veg')).toBe('checked');
+    expect(document.getElementById('kale').checked).toBe(true);
+    control.release();
+  });
+  
+  test('an undone change should not be dispatched, saved or recorded', async () => {
+    tristateCheckbox.destroy();
+    tristateCheckbox = TristateCheckbox.render(document.body, data, { persistSelection: 'controlled', history: 10 });
+    const control = tristateCheckbox.control({ value: ['apple'], onChange: jest.fn() });
+    await Promise.resolve();
+    const setItem = jest.spyOn(Storage.prototype, 'setItem');
+    const onTreeChange = jest.fn();
+    document.addEventListener('tristate:change', onTreeChange);
+    
+    document.getElementById('pear').click();
+    await Promise.resolve();
+    expect(onTreeChange).not.toHaveBeenCalled();
+    expect(setItem).not.toHaveBeenCalled();
+    expect(tristateCheckbox.canUndo).toBe(false);
+    
+    control.update(['apple', 'pear']);
+    await Promise.resolve();
+    expect(onTreeChange).toHaveBeenCalledTimes(1);
+    expect(setItem).toHaveBeenCalledTimes(1);
+    
+    document.removeEventListener('tristate:change', onTreeChange);
+    setItem.mockRestore();
+    control.release();
+    localStorage.clear();
+  });
+  
+  test('a change spanning several roots should be reported once', () => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = TristateCheckbox.renderToString(data.slice(0, 1)) + TristateCheckbox.renderToString(data.slice(1));
+    tristateCheckbox = new TristateCheckbox('.tristate');
+    const onChange = jest.fn();
+    const control = tristateCheckbox.control({ value: [], onChange });
+    
+    tristateCheckbox.checkAll();
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange.mock.calls[0][0]).toEqual(['apple', 'pear', 'kale', 'leek']);
+    expect(onChange.mock.calls[0][1].changes.map(change => change.checkbox.id))
+      .toEqual(expect.arrayContaining(['fruit', 'veg']));
+    expect(tristateCheckbox.getValue()).toEqual([]);
+    control.release();
+  });
+  
+  test('update should replace changes made through the API', () => {
+    const onChange = jest.fn();
+    const control = tristateCheckbox.control({ value: ['pear'], onChange, mode: 'topmost' });
+    
+    tristateCheckbox.check('fruit');
+    expect(onChange.mock.calls[0][0]).toEqual(['fruit']);
+    expect(tristateCheckbox.getValue('topmost')).toEqual(['pear']);
+    
+    control.update(['apple', 'pear']);
+    expect(tristateCheckbox.getValue('topmost')).toEqual(['fruit']);
+    expect(onChange).toHaveBeenCalledTimes(1);
+    control.release();
+  });
+  
+  test('refresh and form reset should show the value again', async () => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = '<form></form>';
+    tristateCheckbox = TristateCheckbox.render(document.querySelector('form'), data);
+    const onChange = jest.fn();
+    const control = tristateCheckbox.control({ value: ['apple'], onChange });
+    
+    tristateCheckbox.refresh();
+    expect(tristateCheckbox.getValue()).toEqual(['apple']);
+    expect(document.getElementById('apple').checked).toBe(true);
+    
+    document.querySelector('form').reset();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(tristateCheckbox.getValue()).toEqual(['apple']);
+    expect(document.getElementById('apple').checked).toBe(true);
+    expect(tristateCheckbox.getState('fruit')).toBe('indeterminate');
+    expect(onChange).not.toHaveBeenCalled();
+    control.release();
+  });
+  
+  test('released trees should keep user changes', () => {
+    const onChange = jest.fn();
+    tristateCheckbox.control({ value: [], onChange }).release();
+    
+    document.getElementById('apple').click();
+    expect(onChange).not.toHaveBeenCalled();
+    expect(tristateCheckbox.getValue()).toEqual(['apple']);
+  });
+  
+  test('re-rendered checkboxes should follow the value', async () => {
+    tristateCheckbox.destroy();
+    tristateCheckbox = TristateCheckbox.render(document.body, data, { observe: true });
+    const onChange = jest.fn();
+    const control = tristateCheckbox.control({ value: ['kale'], onChange });
+    
+    // A framework replacing an input with a fresh element
+    const replacement = document.createElement('input');
+    replacement.type = 'checkbox';
+    replacement.id = 'kale';
+    document.getElementById('kale').replaceWith(replacement);
+    await Promise.resolve();
+    
+    expect(replacement.checked).toBe(true);
+    expect(tristateCheckbox.getState('veg')).toBe('indeterminate');
+    expect(onChange).not.toHaveBeenCalled();
+    
+    replacement.click();
+    expect(onChange.mock.calls[0][0]).toEqual([]);
+    expect(replacement.checked).toBe(true);
+    control.release();
+  });
+  
+  test('the <tristate-tree> value should restore a topmost selection', () => {
+    tristateCheckbox.destroy();
+    document.body.innerHTML = `<tristate-tree mode="topmost">${TristateCheckbox.renderToString(data)}</tristate-tree>`;
+    const element = document.querySelector('tristate-tree');
+    tristateCheckbox = element.tree;
+    
+    element.value = ['fruit', 'kale'];
+    expect(element.value).toEqual(['fruit', 'kale']);
+    expect(document.getElementById('pear').checked).toBe(true);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @jest-environment-options {"customExportConditions": ["node", "node-addons"]}
+ */
+// __tests__/tristate-checkbox.vue.test.js
+const { h, nextTick, withDirectives } = require('vue');
+const { mount } = require('@vue/test-utils');
+const TristateCheckbox = require('../tristate-checkbox');
+const { TristateTree, vTristate } = require('../adapters/vue');
+
+describe('Vue bindings', () => {
+  const data = [
+    {
+      id: 'fruit',
+      label: 'Fruit',
+      children: [
+        { id: 'apple', label: 'Apple' },
+        { id: 'pear', label: 'Pear' }
+      ]
+    }
+  ];
+  
+  // A parent that owns the selection through v-model
+  const Controlled = {
+    props: { initial: { type: Array, default: () => [] }, accept: { type: Boolean, default: true } },
+    emits: ['requested'],
+    data() {
+      return { selected: this.initial };
+    },
+    render() {
+      return h(TristateTree, {
+        data,
+        modelValue: this.selected,
+        'onUpdate:modelValue': next => {
+          this.$emit('requested', next);
+          if (this.accept) this.selected = next;
+        }
+      });
+    }
+  };
+  
+  // Markup rendered by Vue itself, with the inputs keyed so a new key replaces them
+  const Markup = {
+    props: { value: Array, generation: Number, onChange: Function },
+    render() {
+      const input = id => h('input', { type: 'checkbox', id, key: `${id}-${this.generation}` });
+      const list = h('ul', { class: 'tristate' }, [
+        h('li', null, [input('top'), h('ul', null, [h('li', null, [input('a')]), h('li', null, [input('b')])])])
+      ]);
+      
+      return withDirectives(list, [[vTristate, { value: this.value, onChange: this.onChange }]]);
+    }
+  };
+  
+  let wrapper;
+  
+  afterEach(() => {
+    if (wrapper) wrapper.unmount();
+    wrapper = null;
+    document.body.innerHTML = '';
+  });
+  
+  test('TristateTree should render the data as a tree with the given value', () => {
+    wrapper = mount(Controlled, { props: { initial: ['apple'] }, attachTo: document.body });
+    
+    const list = document.querySelector('ul.tristate');
+    expect(TristateCheckbox.getInstance(list)).toBeInstanceOf(TristateCheckbox);
+    expect(document.getElementById('apple').checked).toBe(true);
+    expect(document.getElementById('fruit').indeterminate).toBe(true);
+  });
+  
+  test('a user change should come back through v-model', async () => {
+    wrapper = mount(Controlled, { attachTo: document.body });
+    
+    document.getElementById('fruit').click();
+    await nextTick();
+    expect(wrapper.emitted('requested')).toEqual([[['apple', 'pear']]]);
+    expect(document.getElementById('pear').checked).toBe(true);
+    expect(document.getElementById('fruit').checked).toBe(true);
+  });
+  
+  test('a change the parent does not accept should be undone', async () => {
+    wrapper = mount(Controlled, { props: { initial: ['pear'], accept: false }, attachTo: document.body });
+    
+    document.getElementById('apple').click();
+    await nextTick();
+    expect(wrapper.emitted('requested')).toEqual([[['apple', 'pear']]]);
+    expect(document.getElementById('apple').checked).toBe(false);
+    expect(document.getElementById('fruit').indeterminate).toBe(true);
+  });
+  
+  test('inputs replaced by a re-render should follow the value', async () => {
+    const onChange = jest.fn();
+    wrapper = mount(Markup, { props: { value: ['a'], generation: 0, onChange }, attachTo: document.body });
+    const before = document.getElementById('a');
+    expect(before.checked).toBe(true);
+    
+    await wrapper.setProps({ generation: 1 });
+    await Promise.resolve();
+    const after = document.getElementById('a');
+    expect(after).not.toBe(before);
+    expect(after.checked).toBe(true);
+    expect(document.getElementById('top').indeterminate).toBe(true);
+    expect(onChange).not.toHaveBeenCalled();
+    
+    await wrapper.setProps({ value: ['a', 'b'] });
+    expect(document.getElementById('top').checked).toBe(true);
+  });
+  
+  test('unmounting should destroy the tree', () => {
+    const destroy = jest.spyOn(TristateCheckbox.prototype, 'destroy');
+    wrapper = mount(Controlled, { attachTo: document.body });
+    const list = document.querySelector('ul.tristate');
+    
+    wrapper.unmount();
+    wrapper = null;
+    expect(destroy).toHaveBeenCalledTimes(1);
+    expect(TristateCheckbox.getInstance(list)).toBe(null);
+    destroy.mockRestore();
+  });
+});
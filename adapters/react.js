@@ -0,0 +1,73 @@
+/**********************************************************************************
+ **
+ **              Tristate Checkbox - React bindings
+ **
+ **              Dual licensed under the MIT and GPL licenses:
+ **              http://www.opensource.org/licenses/mit-license.php
+ **              http://www.gnu.org/licenses/gpl.html
+ **
+ **              dependencies: react >= 16.8
+ **
+ **********************************************************************************/
+
+const { createElement, useLayoutEffect, useRef, useState } = require('react');
+const TristateCheckbox = require('../tristate-checkbox');
+
+/**
+ * Run a tree on an element as a controlled input: `value` is the selection, and a user
+ * change calls `onChange` instead of sticking until the new value is passed back in.
+ * @param {Object} props
+ * @param {string[]} props.value - Checked values, as returned by getValue()
+ * @param {Function} props.onChange - Called with the requested values and the tristate:change detail
+ * @param {string} [props.mode='leaves'] - Which checked checkboxes make up the value
+ * @param {Object[]} [props.data] - Items to render with TristateCheckbox.render(). Without
+ *   data, the element's own markup is used and watched for changes by later renders.
+ *   The tree is rebuilt whenever data is a new array, so keep it memoized.
+ * @param {Object} [props.options] - Constructor options, read when the tree is built
+ * @returns {Function} A ref callback for the element that holds the tree
+ */
+function useTristate({ value, onChange, mode = 'leaves', data = null, options = {} } = {}) {
+  const [element, setElement] = useState(null);
+  const latest = useRef({});
+  latest.current = { value, onChange, options };
+  const control = useRef(null);
+  
+  useLayoutEffect(() => {
+    if (!element) return undefined;
+    
+    const tree = data
+      ? TristateCheckbox.render(element, data, latest.current.options)
+      : new TristateCheckbox(element, Object.assign({}, latest.current.options, { observe: true }));
+    const controller = tree.control({
+      value: latest.current.value,
+      mode,
+      onChange: (next, detail) => {
+        if (latest.current.onChange) latest.current.onChange(next, detail);
+      }
+    });
+    control.current = controller;
+    
+    return () => {
+      controller.release();
+      tree.destroy();
+      control.current = null;
+    };
+  }, [element, data, mode]);
+  
+  useLayoutEffect(() => {
+    if (control.current) control.current.update(value);
+  });
+  
+  return setElement;
+}
+
+/**
+ * A tree rendered from data, as a controlled component. Other props go to the container div.
+ * @param {Object} props - `data`, `value`, `onChange`, `mode` and `options`, as in useTristate()
+ */
+function TristateTree({ data, value, onChange, mode, options, ...rest }) {
+  const ref = useTristate({ data, value, onChange, mode, options });
+  return createElement('div', Object.assign({}, rest, { ref }));
+}
+
+module.exports = { useTristate, TristateTree };
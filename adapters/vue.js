@@ -0,0 +1,140 @@
+/**********************************************************************************
+ **
+ **              Tristate Checkbox - Vue bindings
+ **
+ **              Dual licensed under the MIT and GPL licenses:
+ **              http://www.opensource.org/licenses/mit-license.php
+ **              http://www.gnu.org/licenses/gpl.html
+ **
+ **              dependencies: vue >= 3
+ **
+ **********************************************************************************/
+
+const { h } = require('vue');
+const TristateCheckbox = require('../tristate-checkbox');
+
+// Trees are kept off the reactive instances, keyed by element
+const trees = new WeakMap();
+
+/**
+ * Build a tree on an element and let the given value own its selection
+ * @private
+ */
+function mount(element, { value, onChange, mode = 'leaves', data = null, options = {} }) {
+  const tree = data
+    ? TristateCheckbox.render(element, data, options)
+    : new TristateCheckbox(element, Object.assign({}, options, { observe: true }));
+  const entry = { tree, onChange };
+  entry.control = tree.control({
+    value,
+    mode,
+    onChange: (next, detail) => {
+      if (entry.onChange) entry.onChange(next, detail);
+    }
+  });
+  
+  trees.set(element, entry);
+}
+
+/**
+ * Tear down the tree of an element
+ * @private
+ */
+function unmount(element) {
+  const entry = trees.get(element);
+  if (!entry) return;
+  
+  entry.control.release();
+  entry.tree.destroy();
+  trees.delete(element);
+}
+
+/**
+ * A tree as a component with v-model. The items come from `data`, or from the default
+ * slot when there is none. The model only changes through update:modelValue.
+ */
+const TristateTree = {
+  name: 'TristateTree',
+  props: {
+    modelValue: { type: Array, default: () => [] },
+    data: { type: Array, default: null },
+    mode: { type: String, default: 'leaves' },
+    options: { type: Object, default: () => ({}) }
+  },
+  emits: ['update:modelValue', 'change'],
+  
+  mounted() {
+    this.mountTree();
+  },
+  
+  beforeUnmount() {
+    unmount(this.$el);
+  },
+  
+  watch: {
+    modelValue(value) {
+      const entry = trees.get(this.$el);
+      if (entry) entry.control.update(value);
+    },
+    data() {
+      this.remountTree();
+    },
+    mode() {
+      this.remountTree();
+    }
+  },
+  
+  methods: {
+    mountTree() {
+      mount(this.$el, {
+        value: this.modelValue,
+        mode: this.mode,
+        data: this.data,
+        options: this.options,
+        onChange: (value, detail) => {
+          this.$emit('update:modelValue', value);
+          this.$emit('change', value, detail);
+        }
+      });
+    },
+    remountTree() {
+      unmount(this.$el);
+      this.mountTree();
+    }
+  },
+  
+  render() {
+    // Rendered data is owned by the tree, so Vue leaves the container empty
+    return h('div', null, this.data || !this.$slots.default ? [] : this.$slots.default());
+  }
+};
+
+/**
+ * v-tristate="{ value, onChange, mode, options }" on the element that holds the markup
+ */
+const vTristate = {
+  mounted(element, binding) {
+    mount(element, binding.value || {});
+  },
+  updated(element, binding) {
+    const entry = trees.get(element);
+    if (!entry) return;
+    
+    const { value, onChange } = binding.value || {};
+    entry.onChange = onChange;
+    entry.control.update(value);
+  },
+  beforeUnmount(element) {
+    unmount(element);
+  }
+};
+
+/**
+ * Register TristateTree and v-tristate with app.use()
+ */
+function install(app) {
+  app.component('TristateTree', TristateTree);
+  app.directive('tristate', vTristate);
+}
+
+module.exports = { TristateTree, vTristate, install };
@@ -2,8 +2,12 @@
  * Performance benchmark for Tristate Checkbox
  * 
  * Measures:
- * 1. Initialization time (with small, medium, and large DOM structures)
+ * 1. Initialization time (with small, medium, large, and huge DOM structures)
  * 2. Update propagation time (checking/unchecking operations)
+ *
+ * Median times are compared against benchmarks/budget.json, which gives each one as a
+ * multiple of a reference run of plain DOM work, so the budgets follow the speed of the
+ * machine. The process exits with code 1 if any benchmark goes over its budget.
  */
 
 const microtime = require('microtime');
@@ -14,6 +18,11 @@ const path = require('path');
 // Use a more direct approach - require the module directly
 const TristateCheckbox = require('../tristate-checkbox');
 
+// Median time budgets as multiples of the reference median, keyed by benchmark name
+const REFERENCE = 'Reference DOM walk';
+const budget = JSON.parse(fs.readFileSync(path.join(__dirname, 'budget.json'), 'utf8'));
+const results = {};
+
 console.log('==================================================');
 console.log('Tristate Checkbox Performance Benchmark');
 console.log('==================================================');
@@ -77,6 +86,9 @@ const dom = new JSDOM(`
   
   <!-- Large hierarchy (generated programmatically) -->
   <ul id="large-tree"></ul>
+  
+  <!-- Huge hierarchy, about 20k checkboxes (generated programmatically) -->
+  <ul id="huge-tree"></ul>
 </body>
 </html>
 `);
@@ -88,12 +100,13 @@ global.HTMLElement = dom.window.HTMLElement;
 global.customElements = dom.window.customElements;
 global.Element = dom.window.Element; // Add Element reference to fix "Element is not defined" error
 global.NodeList = dom.window.NodeList; // Add NodeList reference
+global.Node = dom.window.Node;
+global.CustomEvent = dom.window.CustomEvent;
 
 // Generate a large tree for more intensive benchmark
-function generateLargeTree() {
-  const largeTree = document.getElementById('large-tree');
-  const depth = 5;
-  const childrenPerNode = 3;
+function generateLargeTree(treeId = 'large-tree', depth = 5, childrenPerNode = 3) {
+  const largeTree = document.getElementById(treeId);
+  const prefix = treeId.replace('-tree', '');
   
   function createNestedList(depth, parentElement, prefix = '') {
     if (depth === 0) return;
@@ -124,18 +137,19 @@ function generateLargeTree() {
   
   const rootCheckbox = document.createElement('input');
   rootCheckbox.type = 'checkbox';
-  rootCheckbox.id = 'large-root-checkbox';
+  rootCheckbox.id = `${prefix}-root-checkbox`;
   rootLi.appendChild(rootCheckbox);
   
   const rootSpan = document.createElement('span');
   rootSpan.textContent = 'Large Tree Root';
   rootLi.appendChild(rootSpan);
   
-  createNestedList(depth, rootLi, 'large-');
+  createNestedList(depth, rootLi, `${prefix}-`);
 }
 
-console.log('Generating large checkbox hierarchy for benchmarking...');
+console.log('Generating large checkbox hierarchies for benchmarking...');
 generateLargeTree();
+generateLargeTree('huge-tree', 7, 4);
 
 // Count how many checkboxes we generated for reference
 const totalCheckboxes = document.querySelectorAll('input[type="checkbox"]').length;
@@ -196,11 +210,22 @@ function benchmark(name, fn, iterations = 1000) {
   console.log(`  Max:     ${(max / 1000).toFixed(3)} ms`);
   console.log(`  95th %:  ${(p95 / 1000).toFixed(3)} ms`);
   
+  results[name] = median / 1000;
   return { avg, median, min, max, p95 };
 }
 
 console.log('\n==== BENCHMARK RESULTS ====');
 
+// ----- REFERENCE -----
+console.log('\n----- Reference -----');
+
+// Plain DOM queries over the large tree, without the library
+benchmark(REFERENCE, () => {
+  document.getElementById('large-tree').querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+    checkbox.closest('li').querySelectorAll('input[type="checkbox"]');
+  });
+}, 100);
+
 // ----- INITIALIZATION BENCHMARKS -----
 console.log('\n----- Initialization Performance -----');
 
@@ -225,6 +250,13 @@ benchmark('Initialize large tree', () => {
   tristate.destroy();
 }, 100); // Fewer iterations for the large tree
 
+// Huge tree initialization
+benchmark('Initialize huge tree', () => {
+  const tree = setupTree('huge-tree');
+  const tristate = new TristateCheckbox(tree);
+  tristate.destroy();
+}, 10);
+
 // ----- OPERATIONS BENCHMARKS -----
 console.log('\n----- Check/Uncheck Operations Performance -----');
 
@@ -297,6 +329,51 @@ benchmark('Large tree check/uncheck operations', () => {
   tristate.destroy();
 }, 100); // Fewer iterations for large tree
 
+// Huge tree operations
+benchmark('Huge tree check/uncheck operations', () => {
+  const tree = setupTree('huge-tree');
+  const tristate = new TristateCheckbox(tree);
+  
+  const rootCheckbox = document.getElementById('huge-root-checkbox');
+  
+  // Toggle root checkbox (affects all checkboxes)
+  rootCheckbox.checked = true;
+  rootCheckbox.dispatchEvent(new dom.window.Event('change'));
+  
+  // Toggle a deeply nested leaf
+  const leafCheckbox = document.getElementById('huge-1-1-1-1-1-1-checkbox-1-1');
+  leafCheckbox.checked = false;
+  leafCheckbox.dispatchEvent(new dom.window.Event('change'));
+  
+  tristate.destroy();
+}, 10);
+
+// ----- BUDGET -----
+console.log('\n----- Budget (median) -----');
+
+const reference = results[REFERENCE];
+console.log(`  Reference: ${reference.toFixed(3)} ms`);
+
+let overBudget = 0;
+Object.keys(budget).forEach(name => {
+  const median = results[name];
+  if (median === undefined) {
+    console.log(`  MISSING  ${name}`);
+    overBudget++;
+    return;
+  }
+  
+  const allowed = budget[name] * reference;
+  const passed = median <= allowed;
+  if (!passed) overBudget++;
+  console.log(`  ${passed ? 'OK  ' : 'OVER'}     ${name}: ${median.toFixed(3)} ms / ${allowed.toFixed(3)} ms (${(median / reference).toFixed(2)}x of ${budget[name]}x)`);
+});
+
 console.log('\n==================================================');
+if (overBudget) {
+  console.log(`${overBudget} benchmark(s) over budget!`);
+  console.log('==================================================');
+  process.exit(1);
+}
 console.log('Benchmark completed successfully!');
 console.log('==================================================');
\ No newline at end of file
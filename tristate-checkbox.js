@@ -17,9 +17,50 @@
 class TristateCheckbox {
   /**
    * Create a tristate checkbox component
-   * @param {string|Element|NodeList} selector - CSS selector, DOM element, or NodeList
+   * @param {string|Element|NodeList} selector - CSS selector, DOM element, or NodeList. Elements
+   *   can come from another document, such as a same-origin iframe, or from inside a shadow root.
+   * @param {Object} [options] - Overrides for TristateCheckbox.defaults
+   * @param {boolean} [options.observe=false] - Watch roots for added or removed list items
+   * @param {string|null} [options.submitMode=null] - Submit 'leaves', 'topmost' or 'all' checked values
+   * @param {boolean} [options.accessible=false] - Apply the WAI-ARIA tree pattern and keyboard navigation
+   * @param {boolean} [options.collapsible=false] - Add an expand/collapse toggle to every parent item
+   * @param {string|Object|null} [options.persistExpanded=null] - localStorage key, or a store with
+   *   load() and save(ids) methods, used to remember which parents are expanded
+   * @param {string} [options.lockedPolicy='ignore'] - 'ignore' leaves locked children out of their
+   *   parent's state, 'include' counts them like any other child
+   * @param {boolean} [options.readonly=false] - Render the tristate but let nothing change it,
+   *   user or API, except a new value from setValue()
+   * @param {string} [options.checkboxSelector='input[type="checkbox"]'] - Selector for the checkboxes
+   * @param {string} [options.itemSelector='li'] - Selector for the item element that holds a
+   *   checkbox along with its group of children
+   * @param {string} [options.groupSelector='ul'] - Selector for the element directly inside an
+   *   item that holds its child items
+   * @param {Function|null} [options.getParentItem=null] - Called with an item, returns the parent
+   *   item or null. Use it for layouts where children are not nested inside their parent,
+   *   such as table rows.
+   * @param {string} [options.propagation='both'] - How a parent and its children affect each other:
+   *   'both', 'down' (checking a parent checks its children), 'up' (a parent follows its children)
+   *   or 'none'. A data-tristate-propagation attribute overrides it for one parent.
+   * @param {number} [options.history=0] - Number of user actions kept for undo(), 0 disables history
+   * @param {boolean} [options.historyKeys=false] - Bind Ctrl+Z and Ctrl+Shift+Z (or Cmd) to undo
+   *   and redo while focus is inside a root
+   * @param {string|Object|null} [options.persistSelection=null] - localStorage key, or a store with
+   *   load() and save(ids) methods such as TristateCheckbox.adapters.query(), used to restore the
+   *   selection on init and save it after every change
+   * @param {boolean|Function} [options.badges=false] - Show a span.tristate-count badge with the
+   *   checked and total leaves in every parent, e.g. "3/12". A function is called with the parent's
+   *   getSummary() object and returns the badge text instead; an empty string hides the badge.
+   * @param {Function|null} [options.loadChildren=null] - Called with the checkbox of a
+   *   data-tristate-lazy item when it is expanded or load() is called, returns a promise of
+   *   child nodes shaped like render() data
+   * @param {boolean} [options.cycleIndeterminate=false] - Clicking a parent cycles from mixed to
+   *   checked, unchecked and back to the mixed selection it had before the first click
+   * @param {Document|ShadowRoot|Element|null} [options.root=null] - Where a selector string is
+   *   looked up, e.g. a shadow root or an iframe's contentDocument, instead of the global document
    */
-  constructor(selector) {
+  constructor(selector, options = {}) {
+    this.options = Object.assign({}, TristateCheckbox.defaults, options);
+    
     // Store references to all root elements
     this.roots = this._getElements(selector);
     
@@ -28,9 +69,54 @@ class TristateCheckbox {
       return;
     }
     
+    this.roots.forEach(root => TristateCheckbox._instances.set(root, this));
+    
     // Store event handler references for potential cleanup
     this._handlers = new Map();
     
+    // Tree index: checkbox -> {checkbox, item, root, parent, children, state, counters}
+    this._nodes = new Map();
+    this._itemNodes = new Map();
+    this._topLevel = new Map();
+    this._limited = new Set();
+    this._pendingWrites = new Set();
+    this._changeLog = null;
+    this._undoStack = [];
+    this._redoStack = [];
+    
+    this._listeners = [];
+    this._observers = [];
+    this._formValues = new Map();
+    this._typeahead = { text: '', timer: null };
+    this._filteredOut = new Set();
+    this._autoExpanded = new Set();
+    this._controllers = new Map();
+    this._badges = new Map();
+    this._loading = new Map();
+    this._snapshots = new Map();
+    this._controlled = new Set();
+    this._applyingValue = false;
+    
+    if (this.options.submitMode && !TristateCheckbox.SUBMIT_MODES.includes(this.options.submitMode)) {
+      console.error(`TristateCheckbox: Unknown submitMode "${this.options.submitMode}"`);
+      this.options.submitMode = null;
+    }
+    
+    if (!TristateCheckbox.PROPAGATION_MODES.includes(this.options.propagation)) {
+      console.error(`TristateCheckbox: Unknown propagation "${this.options.propagation}"`);
+      this.options.propagation = 'both';
+    }
+    
+    if (!TristateCheckbox.LOCKED_POLICIES.includes(this.options.lockedPolicy)) {
+      console.error(`TristateCheckbox: Unknown lockedPolicy "${this.options.lockedPolicy}"`);
+      this.options.lockedPolicy = 'ignore';
+    }
+    
+    this._storeKeys = [];
+    this._claimStore('persistExpanded');
+    this._claimStore('persistSelection');
+    this._selectionSave = null;
+    
     // Initialize
     this._init();
   }
@@ -40,216 +126,3800 @@ class TristateCheckbox {
    * @private
    */
   _init() {
+    const selection = this._loadSelection();
+    
     this.roots.forEach(root => {
       // Find all checkboxes within each root
-      const checkboxes = root.querySelectorAll('input[type="checkbox"]');
-      
-      checkboxes.forEach(checkbox => {
-        // Create and store a handler for each checkbox
-        const handler = this._createChangeHandler(checkbox);
-        this._handlers.set(checkbox, handler);
-        
-        // Add event listener
-        checkbox.addEventListener('change', handler);
-      });
+      const checkboxes = root.querySelectorAll(this.options.checkboxSelector);
+      checkboxes.forEach(checkbox => this._bindCheckbox(checkbox));
       
       // Initialize the state
-      this._initializeState(root);
+      this._initializeState(root, selection);
+      this._initForm(root);
+      
+      if (this.options.historyKeys) {
+        this._listen(root, 'keydown', event => this._handleHistoryKeys(event));
+      }
+      
+      if (this.options.collapsible || this.options.persistExpanded) {
+        this._initCollapsible(root);
+      }
+      
+      if (this.options.accessible) {
+        this._initAccessibility(root);
+      }
+      
+      if (this.options.observe) {
+        this._observe(root);
+      }
     });
   }
   
   /**
-   * Set initial states when the page loads
+   * Create, store and attach the change handler for a checkbox
+   * @private
+   */
+  _bindCheckbox(checkbox) {
+    if (this._handlers.has(checkbox)) return;
+    
+    const handler = this._createChangeHandler(checkbox);
+    this._handlers.set(checkbox, handler);
+    checkbox.addEventListener('change', handler);
+    
+    // Submission is handled through hidden inputs, so the checkbox itself must not submit
+    if (this.options.submitMode && checkbox.hasAttribute('name')) {
+      checkbox.dataset.tristateName = checkbox.name;
+      checkbox.removeAttribute('name');
+    }
+  }
+  
+  /**
+   * Detach and forget the change handler for a checkbox
    * @private
    */
-  _initializeState(root) {
-    // Process the tree from bottom to top to ensure proper indeterminate state
-    // We need to find the deepest checkboxes first and work our way up
+  _unbindCheckbox(checkbox) {
+    const handler = this._handlers.get(checkbox);
+    if (!handler) return;
     
-    // Get all ul elements, sort by their nesting level (deepest first)
-    const allUls = Array.from(root.querySelectorAll('ul'));
-    const sortedUls = allUls.sort((a, b) => {
-      // Count parents to determine depth
-      const depthA = this._getElementDepth(a);
-      const depthB = this._getElementDepth(b);
-      return depthB - depthA; // Deepest first
+    checkbox.removeEventListener('change', handler);
+    this._handlers.delete(checkbox);
+    this._forgetNode(checkbox);
+    this._filteredOut.delete(checkbox);
+    this._restoreName(checkbox);
+  }
+  
+  /**
+   * Give a checkbox back the name taken from it for submitMode
+   * @private
+   */
+  _restoreName(checkbox) {
+    if (!checkbox.hasAttribute('data-tristate-name')) return;
+    
+    checkbox.name = checkbox.getAttribute('data-tristate-name');
+    checkbox.removeAttribute('data-tristate-name');
+  }
+  
+  /**
+   * Add an event listener that is removed on destroy
+   * @private
+   */
+  _listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this._listeners.push([target, type, handler]);
+  }
+  
+  /**
+   * Hook the forms a root belongs to
+   * @private
+   */
+  _initForm(root) {
+    const forms = new Set();
+    const parentForm = root.closest('form');
+    if (parentForm) forms.add(parentForm);
+    
+    // Checkboxes can also belong to a form elsewhere through their form attribute
+    root.querySelectorAll('[form]').forEach(element => {
+      if (element.form && this._matches(element, this.options.checkboxSelector)) forms.add(element.form);
     });
     
-    // Process each ul level, starting from the deepest
-    sortedUls.forEach(ul => {
-      // Get all checkboxes that are direct children of this ul's li children
-      const parentCheckboxes = Array.from(ul.parentElement.querySelectorAll(':scope > input[type="checkbox"]'));
-      
-      // Update each parent at this level
-      parentCheckboxes.forEach(checkbox => {
-        this._updateParentState(checkbox);
+    // The reset event fires before the browser restores the default values,
+    // so recalculate once it has finished
+    forms.forEach(form => {
+      this._listen(form, 'reset', () => {
+        setTimeout(() => {
+          if (this._destroyed) return;
+          this._initializeState(root);
+          this._syncTreeAria(root);
+          this._syncFormValues(root);
+          this._saveSelection();
+          
+          // Controlled trees show their value over the form's defaults
+          this._controlled.forEach(controller => controller.apply());
+        }, 0);
       });
     });
+    
+    if (this.options.submitMode) {
+      const container = root.ownerDocument.createElement('div');
+      container.hidden = true;
+      container.dataset.tristateValues = '';
+      
+      // Kept outside the root so updating it never reaches a MutationObserver on the root
+      if (root.tagName === 'FORM') {
+        root.appendChild(container);
+      } else {
+        root.after(container);
+      }
+      
+      this._formValues.set(root, { container, key: null });
+      this._syncFormValues(root);
+    }
   }
   
   /**
-   * Helper to get the nesting depth of an element
+   * Rewrite the hidden inputs of a root to match its selection
    * @private
    */
-  _getElementDepth(element) {
-    let depth = 0;
-    let current = element;
+  _syncFormValues(root) {
+    const formValues = this._formValues.get(root);
+    if (!formValues) return;
     
-    while (current.parentElement) {
-      depth++;
-      current = current.parentElement;
+    const entries = this.getChecked(this.options.submitMode, root)
+      .filter(checkbox => checkbox.dataset.tristateName)
+      .map(checkbox => [checkbox.dataset.tristateName, checkbox.value]);
+    
+    // Skip the DOM work when nothing that would be submitted has changed
+    const key = JSON.stringify(entries);
+    if (key === formValues.key) return;
+    formValues.key = key;
+    
+    formValues.container.replaceChildren(...entries.map(([name, value]) => {
+      const input = formValues.container.ownerDocument.createElement('input');
+      input.type = 'hidden';
+      input.name = name;
+      input.value = value;
+      return input;
+    }));
+  }
+  
+  /**
+   * Undo on Ctrl+Z and redo on Ctrl+Shift+Z or Ctrl+Y, with Cmd in place of Ctrl on macOS
+   * @private
+   */
+  _handleHistoryKeys(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    
+    const key = event.key.toLowerCase();
+    let handled = false;
+    if (key === 'z') {
+      handled = event.shiftKey ? this.redo() : this.undo();
+    } else if (key === 'y' && !event.shiftKey) {
+      handled = this.redo();
     }
     
-    return depth;
+    if (handled) event.preventDefault();
   }
   
   /**
-   * Create change handler for a checkbox
+   * Add toggles to a root and restore its persisted expanded state
    * @private
    */
-  _createChangeHandler(checkbox) {
-    return () => {
-      // Get the state that was just set by the user
-      const isChecked = checkbox.checked;
+  _initCollapsible(root) {
+    const expandedIds = this._loadExpanded();
+    if (expandedIds) {
+      this._getParentItems(root).forEach(li => {
+        const checkbox = this._itemCheckbox(li);
+        if (checkbox.id) {
+          this._setExpanded(li, expandedIds.includes(checkbox.id), false);
+        }
+      });
+    }
+    
+    if (!this.options.collapsible) return;
+    
+    this._addToggles(root);
+    this._listen(root, 'click', event => {
+      const toggle = event.target.closest('.tristate-toggle');
+      if (!toggle || !root.contains(toggle)) return;
       
-      // Set all children to the same state
-      this._setChildCheckboxes(checkbox, isChecked);
+      const li = toggle.parentElement;
+      this._setExpanded(li, this._isCollapsed(li));
+    });
+  }
+  
+  /**
+   * Insert a toggle button into every parent item that does not have one yet
+   * @private
+   */
+  _addToggles(root) {
+    this._getParentItems(root).forEach(li => {
+      if (this._childElements(li, '.tristate-toggle').length) return;
       
-      // Update parent checkboxes if any
-      this._updateAncestorCheckboxes(checkbox);
-    };
+      const toggle = li.ownerDocument.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'tristate-toggle';
+      toggle.setAttribute('aria-label', `Toggle ${this._getItemLabel(li)}`.trim());
+      
+      // The treeitem already exposes the expanded state and handles the keyboard
+      if (this.options.accessible) {
+        toggle.setAttribute('tabindex', '-1');
+        toggle.setAttribute('aria-hidden', 'true');
+      }
+      
+      li.prepend(toggle);
+      this._syncToggle(li);
+    });
   }
   
   /**
-   * Set all child checkboxes to the given state
+   * Get the list items of a root that contain a nested list of checkboxes
    * @private
    */
-  _setChildCheckboxes(parentCheckbox, isChecked) {
-    // Find the UL element that's a child of the parent checkbox's LI container
-    const li = parentCheckbox.closest('li');
-    if (!li) return;
+  _getParentItems(root) {
+    const items = [];
+    this._itemNodes.forEach((node, item) => {
+      if (node.root === root && this._groupOf(item)) items.push(item);
+    });
+    return items;
+  }
+  
+  /**
+   * Show or hide the nested list of an item
+   * @private
+   */
+  _setExpanded(li, expanded, persist = true) {
+    const group = this._groupOf(li);
+    if (!group) return;
     
-    const ul = li.querySelector('ul');
-    if (!ul) return;
+    group.hidden = !expanded;
+    this._syncToggle(li);
     
-    // Set all checkboxes in this subtree
-    const childCheckboxes = ul.querySelectorAll('input[type="checkbox"]');
-    childCheckboxes.forEach(checkbox => {
-      checkbox.checked = isChecked;
-      checkbox.indeterminate = false;
+    // Children of a lazy item are fetched the first time it opens
+    const node = this._itemNodes.get(li);
+    if (expanded && node && node.lazy) {
+      this.load(node.checkbox).catch(error => {
+        console.error('TristateCheckbox: Could not add the loaded children', error);
+      });
+    }
+    
+    if (persist) {
+      this._saveExpanded();
+    }
+  }
+  
+  /**
+   * Reflect an item's expanded state on its toggle and treeitem
+   * @private
+   */
+  _syncToggle(li) {
+    const expanded = String(!this._isCollapsed(li));
+    
+    const toggle = this._childElements(li, '.tristate-toggle')[0];
+    if (toggle) toggle.setAttribute('aria-expanded', expanded);
+    
+    if (li.getAttribute('role') === 'treeitem') {
+      li.setAttribute('aria-expanded', expanded);
+    }
+  }
+  
+  /**
+   * Check whether an item's nested list is hidden
+   * @private
+   */
+  _isCollapsed(li) {
+    const group = this._groupOf(li);
+    return Boolean(group && group.hidden);
+  }
+  
+  /**
+   * Expand a parent so its children are shown
+   * @param {string|Element} target - Checkbox id, checkbox element, or its item
+   */
+  expand(target) {
+    const checkbox = this._resolveCheckbox(target);
+    if (checkbox) this._setExpanded(this._itemOf(checkbox), true);
+  }
+  
+  /**
+   * Collapse a parent so its children are hidden
+   * @param {string|Element} target - Checkbox id, checkbox element, or its item
+   */
+  collapse(target) {
+    const checkbox = this._resolveCheckbox(target);
+    if (checkbox) this._setExpanded(this._itemOf(checkbox), false);
+  }
+  
+  /**
+   * Expand every parent
+   */
+  expandAll() {
+    this.roots.forEach(root => {
+      this._getParentItems(root).forEach(li => this._setExpanded(li, true, false));
     });
+    this._saveExpanded();
   }
   
   /**
-   * Update the state of all ancestor checkboxes
+   * Collapse every parent
+   */
+  collapseAll() {
+    this.roots.forEach(root => {
+      this._getParentItems(root).forEach(li => this._setExpanded(li, false, false));
+    });
+    this._saveExpanded();
+  }
+  
+  /**
+   * Expand only the parents with a partial selection, so every checked item
+   * is either visible or inside a fully checked, collapsed parent
+   */
+  expandToChecked() {
+    this.roots.forEach(root => {
+      this._getParentItems(root).forEach(li => {
+        const checkbox = this._itemCheckbox(li);
+        this._setExpanded(li, this._getCheckboxState(checkbox) === 'indeterminate', false);
+      });
+    });
+    this._saveExpanded();
+  }
+  
+  /**
+   * Load the children of a data-tristate-lazy item with the loadChildren option. A lazy item
+   * that is checked or unchecked, by the markup, its server counts or the user, passes that
+   * state on to the loaded children; a mixed one keeps the states from the data.
+   * @param {string|Element} target - Checkbox id, checkbox element, or its item
+   * @returns {Promise<boolean>} Resolves to true once the children are in the tree, false if
+   *   the item is not lazy or loading failed
+   */
+  load(target) {
+    const checkbox = this._resolveCheckbox(target);
+    const node = checkbox && this._nodes.get(checkbox);
+    if (!node || !node.lazy) return Promise.resolve(false);
+    
+    if (typeof this.options.loadChildren !== 'function') {
+      console.error('TristateCheckbox: Lazy items need the loadChildren option');
+      return Promise.resolve(false);
+    }
+    
+    // Expanding again while a request is in flight reuses it
+    if (!this._loading.has(checkbox)) {
+      node.item.setAttribute('aria-busy', 'true');
+      
+      const loading = this._loadChildren(checkbox).finally(() => {
+        this._loading.delete(checkbox);
+        node.item.removeAttribute('aria-busy');
+      });
+      this._loading.set(checkbox, loading);
+    }
+    return this._loading.get(checkbox);
+  }
+  
+  /**
+   * Fetch the children of a lazy checkbox and add them to the tree
+   * @returns {Promise<boolean>} Whether the children were added
    * @private
    */
-  _updateAncestorCheckboxes(checkbox) {
-    let currentCheckbox = checkbox;
-    let parent;
+  async _loadChildren(checkbox) {
+    let data;
+    try {
+      data = await this.options.loadChildren(checkbox);
+    } catch (error) {
+      console.error('TristateCheckbox: Could not load the children', error);
+      return false;
+    }
+    if (!Array.isArray(data)) {
+      console.error('TristateCheckbox: loadChildren did not resolve to a list of children', data);
+      return false;
+    }
+    
+    // The tree may have been destroyed, or the item removed, while waiting
+    const node = this._nodes.get(checkbox);
+    if (this._destroyed || !node || !node.lazy) return false;
     
-    // Walk up the DOM tree
-    while (parent = this._findParentCheckbox(currentCheckbox)) {
-      this._updateParentState(parent);
-      currentCheckbox = parent;
+    let group = this._groupOf(node.item);
+    if (!group) {
+      group = node.item.ownerDocument.createElement('ul');
+      node.item.appendChild(group);
     }
+    
+    const inherited = node.state !== 'indeterminate' && this._cascadesDown(node) ? node.own : null;
+    const added = node.item.ownerDocument.createDocumentFragment();
+    TristateCheckbox._renderItems(added, data, inherited);
+    const items = Array.from(added.children);
+    group.appendChild(added);
+    
+    node.lazy = false;
+    node.lazyCounts = null;
+    ['data-tristate-lazy', 'data-tristate-checked-count', 'data-tristate-total-count'].forEach(name => {
+      checkbox.removeAttribute(name);
+    });
+    
+    // Link the new items the same way as markup added under observe
+    this._handleMutations(node.root, [{ target: group, addedNodes: items, removedNodes: [] }]);
+    
+    this._dispatch(checkbox, 'tristate:load', {
+      checkbox,
+      children: node.children.map(child => child.checkbox)
+    });
+    return true;
   }
   
   /**
-   * Update a single parent checkbox based on its children's state
+   * Read the server-supplied counts of a lazy checkbox
+   * @returns {Object|null} {checked, total}, or null without valid counts
    * @private
    */
-  _updateParentState(parentCheckbox) {
-    // Find immediate child checkboxes
-    const childCheckboxes = this._findChildCheckboxes(parentCheckbox);
-    if (!childCheckboxes.length) return;
+  _readLazyCounts(checkbox) {
+    const checked = parseInt(checkbox.getAttribute('data-tristate-checked-count'), 10);
+    const total = parseInt(checkbox.getAttribute('data-tristate-total-count'), 10);
+    if (Number.isNaN(checked) || Number.isNaN(total)) return null;
+    
+    return { checked: Math.min(Math.max(checked, 0), total), total };
+  }
+  
+  /**
+   * Read the persisted expanded ids
+   * @returns {string[]|null} Ids, or null if nothing was stored
+   * @private
+   */
+  _loadExpanded() {
+    return this._loadIds(this.options.persistExpanded, 'expanded state');
+  }
+  
+  /**
+   * Persist the ids of every expanded parent
+   * @private
+   */
+  _saveExpanded() {
+    const store = this.options.persistExpanded;
+    if (!store) return;
+    
+    const ids = [];
+    this.roots.forEach(root => {
+      this._getParentItems(root).forEach(li => {
+        const checkbox = this._itemCheckbox(li);
+        if (checkbox.id && !this._isCollapsed(li)) ids.push(checkbox.id);
+      });
+    });
+    
+    this._saveIds(store, ids, 'expanded state');
+  }
+  
+  /**
+   * Read the persisted selection
+   * @returns {string[]|null} Ids of the topmost checked checkboxes, or null if nothing was stored
+   * @private
+   */
+  _loadSelection() {
+    return this._loadIds(this.options.persistSelection, 'selection');
+  }
+  
+  /**
+   * Persist the selection once the current task is done, so a run of changes writes once
+   * @private
+   */
+  _saveSelection() {
+    if (!this.options.persistSelection || this._selectionSave) return;
+    
+    this._selectionSave = Promise.resolve().then(() => {
+      this._selectionSave = null;
+      if (!this._destroyed) this._writeSelection();
+    });
+  }
+  
+  /**
+   * Store the ids of the topmost checked checkboxes, unless they are the ones stored last.
+   * A checked parent stands for its whole subtree, so only checkboxes below a parent that
+   * is not fully checked are listed.
+   * @private
+   */
+  _writeSelection() {
+    const store = this.options.persistSelection;
+    if (!store) return;
+    
+    const ids = [];
+    const collect = node => {
+      const cascades = this._cascadesDown(node);
+      const checked = cascades ? node.state === 'checked' : this._isSelected(node);
+      
+      if (checked && node.checkbox.id) {
+        ids.push(node.checkbox.id);
+        if (cascades) return;
+      }
+      node.children.forEach(collect);
+    };
+    this.roots.forEach(root => (this._topLevel.get(root) || []).forEach(collect));
     
-    // Count checked and indeterminate children
-    let checkedCount = 0;
-    let indeterminateCount = 0;
+    const saved = ids.join(',');
+    if (saved === this._savedSelection) return;
+    this._savedSelection = saved;
+    this._saveIds(store, ids, 'selection');
+  }
+  
+  /**
+   * Apply a persisted selection to freshly linked nodes, before their parents are computed
+   * @private
+   */
+  _applySelection(nodes, ids) {
+    const selected = new Set(ids);
+    const frozen = new Set();
     
-    childCheckboxes.forEach(checkbox => {
-      if (checkbox.indeterminate) {
-        indeterminateCount++;
-      } else if (checkbox.checked) {
-        checkedCount++;
+    // Nodes come in document order, so a parent is always decided before its children
+    nodes.forEach(node => {
+      // Locked branches keep the value from the markup
+      if (this._isLocked(node.checkbox) || frozen.has(node.parent)) {
+        frozen.add(node);
+        return;
       }
+      
+      const inherited = Boolean(node.parent && node.parent.own && this._cascadesDown(node.parent));
+      node.own = inherited || selected.has(node.checkbox.id);
+      node.state = node.own ? 'checked' : 'unchecked';
+      this._pendingWrites.add(node);
     });
+  }
+  
+  /**
+   * Read ids from a localStorage key or a store with a load() method
+   * @returns {string[]|null} Ids, or null if nothing was stored
+   * @private
+   */
+  _loadIds(store, description) {
+    if (!store) return null;
     
-    // Set parent state based on children
-    if (indeterminateCount > 0 || (checkedCount > 0 && checkedCount < childCheckboxes.length)) {
-      // Some but not all children are checked, or at least one child is indeterminate
-      parentCheckbox.indeterminate = true;
-      parentCheckbox.checked = false;
-    } else if (checkedCount === childCheckboxes.length) {
-      // All children are checked
-      parentCheckbox.indeterminate = false;
-      parentCheckbox.checked = true;
-    } else {
-      // No children are checked
-      parentCheckbox.indeterminate = false;
-      parentCheckbox.checked = false;
+    let ids;
+    try {
+      const adapter = typeof store === 'string' ? TristateCheckbox.adapters.localStorage(store) : store;
+      ids = adapter.load();
+    } catch (error) {
+      console.error(`TristateCheckbox: Could not load the ${description}`, error);
+      return null;
+    }
+    
+    if (ids === null || ids === undefined) return null;
+    if (!Array.isArray(ids)) {
+      console.error(`TristateCheckbox: Ignoring the stored ${description}, which is not a list of ids`);
+      return null;
     }
+    return ids.map(String);
   }
   
   /**
-   * Find the parent checkbox of a given checkbox
+   * Take the key a persist option stores under, so that two instances, or the selection
+   * and the expanded state of one, never overwrite each other. A taken key turns the option off.
    * @private
    */
-  _findParentCheckbox(checkbox) {
-    // Get the LI that contains this checkbox
-    const li = checkbox.closest('li');
-    if (!li) return null;
+  _claimStore(name) {
+    const store = this.options[name];
+    const key = typeof store === 'string' ? `localStorage:${store}` : store && store.key;
     
-    // Find the parent LI (which contains the parent checkbox)
-    const parentLi = li.parentElement?.closest('li');
-    if (!parentLi) return null;
+    // Custom stores without a key keep their data apart themselves
+    if (!key) return;
     
-    // Get the checkbox in the parent LI
-    return parentLi.querySelector(':scope > input[type="checkbox"]');
+    if (TristateCheckbox._storeOwners.has(key)) {
+      console.error(`TristateCheckbox: ${name} uses "${key}", which another tree already stores in; give it its own key or param`);
+      this.options[name] = null;
+      return;
+    }
+    TristateCheckbox._storeOwners.set(key, this);
+    this._storeKeys.push(key);
   }
   
   /**
-   * Find all immediate child checkboxes of a parent
+   * Write ids to a localStorage key or a store with a save(ids) method
    * @private
    */
-  _findChildCheckboxes(parentCheckbox) {
-    // Get the LI containing this checkbox
-    const li = parentCheckbox.closest('li');
-    if (!li) return [];
+  _saveIds(store, ids, description) {
+    try {
+      const adapter = typeof store === 'string' ? TristateCheckbox.adapters.localStorage(store) : store;
+      adapter.save(ids);
+    } catch (error) {
+      console.error(`TristateCheckbox: Could not save the ${description}`, error);
+    }
+  }
+  
+  /**
+   * Hide the items that do not match a query. Ancestors of matches stay visible
+   * and are expanded, descendants of matches stay visible. While a filter is
+   * active, checking a parent only changes its visible descendants.
+   * @param {string|Function|null} query - Case-insensitive label text, or a
+   *   predicate called with (checkbox, labelText). An empty query clears the filter.
+   * @param {Object} [options]
+   * @param {boolean} [options.highlight=false] - Wrap matched label text in mark.tristate-match
+   * @returns {Element[]} Matching checkboxes in document order
+   */
+  filter(query, options = {}) {
+    this.clearFilter();
+    
+    const text = typeof query === 'string' ? query.trim().toLowerCase() : '';
+    if (typeof query !== 'function' && !text) return [];
+    
+    const matches = typeof query === 'function'
+      ? query
+      : (checkbox, label) => label.toLowerCase().includes(text);
+    const highlight = options.highlight && text ? text : null;
+    this._highlighted = Boolean(highlight);
     
-    // Get the UL that contains the children
-    const ul = li.querySelector(':scope > ul');
-    if (!ul) return [];
+    const matched = [];
+    this.roots.forEach(root => {
+      this._findTopLevelCheckboxes(root).forEach(checkbox => {
+        this._filterCheckbox(checkbox, matches, highlight, matched, false);
+      });
+    });
     
-    // Get all immediate child checkboxes (not descendants deeper in the tree)
-    return Array.from(ul.querySelectorAll(':scope > li > input[type="checkbox"]'));
+    return matched;
   }
   
   /**
-   * Clean up event listeners
+   * Remove the current filter, restoring hidden items and collapsed parents
    */
-  destroy() {
-    this._handlers.forEach((handler, checkbox) => {
-      checkbox.removeEventListener('change', handler);
+  clearFilter() {
+    this._filteredOut.forEach(checkbox => {
+      this._itemOf(checkbox).hidden = false;
+    });
+    this._filteredOut.clear();
+    
+    this._autoExpanded.forEach(li => this._setExpanded(li, false, false));
+    this._autoExpanded.clear();
+    
+    if (!this._highlighted) return;
+    this._highlighted = false;
+    
+    this.roots.forEach(root => {
+      root.querySelectorAll('mark.tristate-match').forEach(mark => {
+        const parent = mark.parentNode;
+        mark.replaceWith(...mark.childNodes);
+        parent.normalize();
+      });
     });
-    this._handlers.clear();
   }
   
   /**
-   * Convert various selector types to array of elements
+   * Apply a filter to a checkbox and its subtree
+   * @returns {boolean} Whether the checkbox stays visible
    * @private
    */
-  _getElements(selector) {
-    if (typeof selector === 'string') {
-      return Array.from(document.querySelectorAll(selector));
-    } else if (selector instanceof Element) {
-      return [selector];
-    } else if (selector instanceof NodeList || Array.isArray(selector)) {
-      return Array.from(selector);
+  _filterCheckbox(checkbox, matches, highlight, matched, ancestorMatched) {
+    const li = this._itemOf(checkbox);
+    const isMatch = Boolean(matches(checkbox, this._getItemLabel(li)));
+    
+    if (isMatch) {
+      matched.push(checkbox);
+      if (highlight) this._highlightLabel(li, highlight);
     }
-    return [];
+    
+    let hasVisibleChild = false;
+    this._findChildCheckboxes(checkbox).forEach(child => {
+      if (this._filterCheckbox(child, matches, highlight, matched, ancestorMatched || isMatch)) {
+        hasVisibleChild = true;
+      }
+    });
+    
+    const visible = isMatch || hasVisibleChild || ancestorMatched;
+    if (!visible) {
+      li.hidden = true;
+      this._filteredOut.add(checkbox);
+    } else if (hasVisibleChild && this._isCollapsed(li)) {
+      // Reveal the path to the matches, and close it again when the filter is cleared
+      this._setExpanded(li, true, false);
+      this._autoExpanded.add(li);
+    }
+    
+    return visible;
   }
+  
+  /**
+   * Wrap the first occurrence of some text in each text node of an item's label
+   * @private
+   */
+  _highlightLabel(li, text) {
+    const label = this._getLabel(li);
+    if (!label) return;
+    
+    const walker = label.ownerDocument.createTreeWalker(label, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    
+    textNodes.forEach(node => {
+      const index = node.data.toLowerCase().indexOf(text);
+      if (index === -1) return;
+      
+      const match = node.splitText(index);
+      match.splitText(text.length);
+      
+      const mark = label.ownerDocument.createElement('mark');
+      mark.className = 'tristate-match';
+      match.replaceWith(mark);
+      mark.appendChild(match);
+    });
+  }
+  
+  /**
+   * Apply the WAI-ARIA tree pattern to a root and enable keyboard navigation
+   * @private
+   */
+  _initAccessibility(root) {
+    this._syncTreeAria(root);
+    
+    this._listen(root, 'keydown', event => this._handleKeydown(root, event));
+    this._listen(root, 'focusin', event => {
+      const item = this._getTreeItem(event.target);
+      if (!item || !root.contains(item)) return;
+      
+      // Focus belongs on the treeitem, the checkbox inside is hidden from assistive technology
+      if (event.target !== item) {
+        item.focus();
+        return;
+      }
+      this._setActiveItem(root, item);
+    });
+  }
+  
+  /**
+   * Apply roles and ARIA states to every item in a root
+   * @private
+   */
+  _syncTreeAria(root) {
+    if (!this.options.accessible) return;
+    
+    const { groupSelector } = this.options;
+    const list = this._matches(root, groupSelector) ? root : root.querySelector(groupSelector);
+    if (list) {
+      list.setAttribute('role', 'tree');
+      if (this.options.readonly) list.setAttribute('aria-readonly', 'true');
+    }
+    
+    let hasActiveItem = false;
+    root.querySelectorAll(this.options.checkboxSelector).forEach(checkbox => {
+      const li = this._itemOf(checkbox);
+      if (!li || !this._handlers.has(checkbox)) return;
+      
+      li.setAttribute('role', 'treeitem');
+      li.setAttribute('aria-disabled', String(this._isLocked(checkbox)));
+      checkbox.setAttribute('tabindex', '-1');
+      checkbox.setAttribute('aria-hidden', 'true');
+      
+      const group = this._groupOf(li);
+      if (group) {
+        group.setAttribute('role', 'group');
+        li.setAttribute('aria-expanded', String(!group.hidden));
+      } else {
+        li.removeAttribute('aria-expanded');
+      }
+      
+      if (li.getAttribute('tabindex') === '0') {
+        hasActiveItem = true;
+      } else {
+        li.setAttribute('tabindex', '-1');
+      }
+      
+      this._syncAria(checkbox);
+    });
+    
+    // Roving tabindex: exactly one item in the tree can be tabbed to
+    if (!hasActiveItem) {
+      const first = this._getVisibleItems(root)[0];
+      if (first) first.setAttribute('tabindex', '0');
+    }
+  }
+  
+  /**
+   * Remove the roles and attributes added by the accessibility mode
+   * @private
+   */
+  _removeTreeAria(root) {
+    root.querySelectorAll('[role="tree"], [role="group"]').forEach(element => {
+      element.removeAttribute('role');
+      element.removeAttribute('aria-readonly');
+    });
+    if (root.getAttribute('role') === 'tree') {
+      root.removeAttribute('role');
+      root.removeAttribute('aria-readonly');
+    }
+    
+    root.querySelectorAll('[role="treeitem"]').forEach(item => {
+      ['role', 'tabindex', 'aria-checked', 'aria-expanded', 'aria-disabled'].forEach(name => {
+        item.removeAttribute(name);
+      });
+    });
+    
+    this._handlers.forEach((handler, checkbox) => {
+      checkbox.removeAttribute('tabindex');
+      checkbox.removeAttribute('aria-hidden');
+    });
+  }
+  
+  /**
+   * Mirror a checkbox's state onto its treeitem as aria-checked
+   * @private
+   */
+  _syncAria(checkbox) {
+    if (!this.options.accessible) return;
+    
+    const li = this._itemOf(checkbox);
+    if (!li) return;
+    
+    const state = this._getCheckboxState(checkbox);
+    const ariaChecked = { checked: 'true', unchecked: 'false', indeterminate: 'mixed' }[state];
+    li.setAttribute('aria-checked', ariaChecked);
+  }
+  
+  /**
+   * Handle arrow keys, Home/End, type-ahead and Space on a tree
+   * @private
+   */
+  _handleKeydown(root, event) {
+    const item = this._getTreeItem(event.target);
+    if (!item || event.target !== item || !root.contains(item)) return;
+    if (event.altKey || event.ctrlKey || event.metaKey) return;
+    
+    const items = this._getVisibleItems(root);
+    const index = items.indexOf(item);
+    let next = null;
+    
+    switch (event.key) {
+      case 'ArrowDown':
+        next = items[index + 1];
+        break;
+      case 'ArrowUp':
+        next = items[index - 1];
+        break;
+      case 'ArrowRight':
+        // Open a closed parent first, move into it on the next press
+        if (item.getAttribute('aria-expanded') === 'false') {
+          this._setExpanded(item, true);
+          event.preventDefault();
+          return;
+        }
+        next = this._getChildItems(item)[0];
+        break;
+      case 'ArrowLeft':
+        if (item.getAttribute('aria-expanded') === 'true') {
+          this._setExpanded(item, false);
+          event.preventDefault();
+          return;
+        }
+        next = this._getTreeItem(item.parentElement);
+        break;
+      case 'Home':
+        next = items[0];
+        break;
+      case 'End':
+        next = items[items.length - 1];
+        break;
+      case ' ': {
+        // Clicking the checkbox runs the same propagation and events as a mouse click
+        const checkbox = this._itemCheckbox(item);
+        if (checkbox) checkbox.click();
+        event.preventDefault();
+        return;
+      }
+      default:
+        if (event.key.length === 1) {
+          next = this._findTypeaheadItem(items, index, event.key);
+        }
+    }
+    
+    if (!next || !root.contains(next)) return;
+    
+    event.preventDefault();
+    this._setActiveItem(root, next);
+    next.focus();
+  }
+  
+  /**
+   * Find the next item whose label starts with the characters typed so far
+   * @private
+   */
+  _findTypeaheadItem(items, index, character) {
+    clearTimeout(this._typeahead.timer);
+    this._typeahead.text += character.toLowerCase();
+    this._typeahead.timer = setTimeout(() => {
+      this._typeahead.text = '';
+    }, 500);
+    
+    const text = this._typeahead.text;
+    
+    // A repeated first character continues the search from the next item
+    const start = text.length === 1 ? index + 1 : index;
+    for (let offset = 0; offset < items.length; offset++) {
+      const candidate = items[(start + offset) % items.length];
+      if (this._getItemLabel(candidate).toLowerCase().startsWith(text)) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Make an item the only tabbable one in its tree
+   * @private
+   */
+  _setActiveItem(root, item) {
+    root.querySelectorAll('[role="treeitem"][tabindex="0"]').forEach(active => {
+      active.setAttribute('tabindex', '-1');
+    });
+    item.setAttribute('tabindex', '0');
+  }
+  
+  /**
+   * Get the treeitems of a root that are currently shown, in document order
+   * @private
+   */
+  _getVisibleItems(root) {
+    return Array.from(root.querySelectorAll('[role="treeitem"]')).filter(item => {
+      let current = item.parentElement;
+      
+      // An item is hidden if anything between it and the root is hidden or collapsed
+      while (current && current !== root) {
+        if (current.hidden || current.getAttribute('aria-expanded') === 'false') return false;
+        current = current.parentElement;
+      }
+      return !item.hidden;
+    });
+  }
+  
+  /**
+   * Get the treeitems directly below an item
+   * @private
+   */
+  _getChildItems(item) {
+    const group = this._groupOf(item);
+    return group ? this._childElements(group, '[role="treeitem"]') : [];
+  }
+  
+  /**
+   * Find the treeitem containing an element
+   * @private
+   */
+  _getTreeItem(element) {
+    return element ? element.closest('[role="treeitem"]') : null;
+  }
+  
+  /**
+   * Get the label text of an item
+   * @private
+   */
+  _getItemLabel(li) {
+    const label = this._getLabel(li);
+    return label ? label.textContent.trim() : '';
+  }
+  
+  /**
+   * Find the label of an item: a label directly inside it, else the first label of its checkbox
+   * @private
+   */
+  _getLabel(item) {
+    const label = this._childElements(item, child => child.tagName === 'LABEL')[0];
+    if (label) return label;
+    
+    const checkbox = this._itemCheckbox(item);
+    return checkbox && checkbox.labels && checkbox.labels.length ? checkbox.labels[0] : null;
+  }
+  
+  /**
+   * Get the checked checkboxes
+   * @param {string} [mode='all'] - 'all' for every checked checkbox, 'leaves' for checked
+   *   checkboxes without children, 'topmost' for the highest fully checked checkboxes
+   * @param {Element} [root] - Limit the result to one root
+   * @returns {Element[]} Checkboxes in document order
+   */
+  getChecked(mode = 'all', root = null) {
+    const roots = root ? [root] : this.roots;
+    const checked = [];
+    
+    roots.forEach(currentRoot => {
+      currentRoot.querySelectorAll(this.options.checkboxSelector).forEach(checkbox => {
+        if (!checkbox.checked || !this._handlers.has(checkbox)) return;
+        
+        if (mode === 'leaves' && this._findChildCheckboxes(checkbox).length) return;
+        
+        if (mode === 'topmost') {
+          const parent = this._findParentCheckbox(checkbox);
+          if (parent && parent.checked && currentRoot.contains(parent)) return;
+        }
+        
+        checked.push(checkbox);
+      });
+    });
+    
+    return checked;
+  }
+  
+  /**
+   * Get the values of the checked checkboxes. A checkbox without a value
+   * attribute contributes its id, and one with neither is left out.
+   * @param {string} [mode='leaves'] - Which checked checkboxes to include, as in getChecked()
+   * @returns {string[]} Values in document order
+   */
+  getValue(mode = 'leaves') {
+    return this._getSelected(mode)
+      .map(checkbox => TristateCheckbox._checkboxValue(checkbox))
+      .filter(Boolean);
+  }
+  
+  /**
+   * Get the selected checkboxes from the index, which is ahead of the checkboxes until the
+   * next flush. Unlike getChecked(), a parent that keeps its own checked value while its
+   * children are mixed counts as selected, so setValue() can restore it.
+   * @param {string} mode - As in getChecked()
+   * @returns {Element[]} Checkboxes in document order
+   * @private
+   */
+  _getSelected(mode) {
+    const selected = [];
+    
+    this._forEachNode(node => {
+      if (!this._isSelected(node)) return;
+      if (mode === 'leaves' && node.children.length) return;
+      if (mode === 'topmost' && node.parent && node.parent.root === node.root && this._isSelected(node.parent)) return;
+      
+      selected.push(node.checkbox);
+    }, this.roots);
+    
+    return selected;
+  }
+  
+  /**
+   * Check exactly the checkboxes whose value is listed and uncheck the rest, in a single
+   * batch. A listed parent that cascades checks its subtree, so a value read with any
+   * mode of getValue() restores the same selection.
+   * @param {string[]} values - Checkbox values, or ids for checkboxes without a value
+   */
+  setValue(values) {
+    const selected = new Set(Array.from(values || [], String));
+    const targets = [];
+    
+    // Unlike bulk selection, this sets locked and filtered checkboxes too
+    const visit = (node, covered) => {
+      const isChecked = covered || selected.has(TristateCheckbox._checkboxValue(node.checkbox));
+      if (!node.children.length || !this._derivesUp(node)) targets.push([node, isChecked]);
+      
+      node.children.forEach(child => visit(child, isChecked && this._cascadesDown(node)));
+    };
+    this.roots.forEach(root => (this._topLevel.get(root) || []).forEach(node => visit(node, false)));
+    
+    this._trackChanges(null, () => this._applyBatch(targets, false));
+  }
+  
+  /**
+   * Let outside state own the selection, the way a controlled input works in a framework.
+   * The tree shows the given value; when the user changes it, onChange receives the value
+   * they asked for and the tree goes back to the current value until update() is called
+   * with a new one. Checkboxes added later, e.g. by a framework re-render, follow the value too.
+   * @param {Object} config
+   * @param {string[]} [config.value=[]] - The selection, as values from getValue()
+   * @param {Function} config.onChange - Called with the requested values and the tristate:change detail
+   * @param {string} [config.mode='leaves'] - Which checked checkboxes make up a value
+   * @returns {Object} `update(value)` to show a new value, and `release()` to stop controlling
+   */
+  control({ value = [], onChange, mode = 'leaves' } = {}) {
+    let current = Array.from(value || [], String);
+    // The value as getValue() reads it back, which may list a selection differently
+    let shown = null;
+    
+    const controller = {
+      apply: () => {
+        this._applyingValue = true;
+        try {
+          this.setValue(current);
+        } finally {
+          this._applyingValue = false;
+        }
+        shown = this.getValue(mode);
+      },
+      // Read by _trackChanges before a change is committed, while the index already has it
+      request: () => {
+        const next = this.getValue(mode);
+        return TristateCheckbox._sameValues(next, shown) ? null : next;
+      },
+      onChange: (next, detail) => {
+        if (typeof onChange === 'function') onChange(next, detail);
+      }
+    };
+    
+    this._controlled.add(controller);
+    controller.apply();
+    
+    return {
+      update: newValue => {
+        const values = Array.from(newValue || [], String);
+        if (TristateCheckbox._sameValues(values, current) && TristateCheckbox._sameValues(this.getValue(mode), shown)) return;
+        
+        current = values;
+        controller.apply();
+      },
+      release: () => {
+        this._controlled.delete(controller);
+      }
+    };
+  }
+  
+  /**
+   * Get a view of a single root
+   * @param {number|Element} target - Index into this.roots, or the root element
+   * @returns {Object|null} An object with the root `element` and `getChecked(mode)`,
+   *   `getState()`, `check()`, `uncheck()` and `toJSON()` scoped to it, or null
+   */
+  getRoot(target) {
+    const root = this._resolveRoot(target);
+    if (!root) return null;
+    
+    return {
+      element: root,
+      getChecked: (mode = 'all') => this.getChecked(mode, root),
+      getState: () => this._getRootState(root),
+      check: () => this._setRootsState([root], true, null),
+      uncheck: () => this._setRootsState([root], false, null),
+      toJSON: () => this._findTopLevelCheckboxes(root).map(checkbox => this._serializeCheckbox(checkbox))
+    };
+  }
+  
+  /**
+   * Link a checkbox outside the trees to one or more roots. It shows as checked when
+   * every linked root is fully checked, unchecked when none has anything checked, and
+   * indeterminate otherwise. Clicking it checks or unchecks every linked root.
+   * @param {Element} checkbox - The controlling checkbox
+   * @param {Array<number|Element>} [roots] - Root indexes or elements, defaults to every root
+   */
+  bindController(checkbox, roots = this.roots) {
+    const linked = roots.map(target => this._resolveRoot(target)).filter(Boolean);
+    if (!linked.length) {
+      console.error('TristateCheckbox: No roots found for the controller');
+      return;
+    }
+    
+    this.unbindController(checkbox);
+    
+    const handler = () => {
+      this._setRootsState(linked, checkbox.checked, checkbox, true);
+      // Readonly trees, or roots that are entirely locked, revert the click
+      this._syncController(checkbox);
+    };
+    checkbox.addEventListener('change', handler);
+    this._controllers.set(checkbox, { roots: linked, handler });
+    
+    this._syncController(checkbox);
+  }
+  
+  /**
+   * Release a checkbox linked with bindController
+   * @param {Element} checkbox - The controlling checkbox
+   */
+  unbindController(checkbox) {
+    const controller = this._controllers.get(checkbox);
+    if (!controller) return;
+    
+    checkbox.removeEventListener('change', controller.handler);
+    this._controllers.delete(checkbox);
+  }
+  
+  /**
+   * Show the combined state of a controller's roots on it
+   * @private
+   */
+  _syncController(checkbox) {
+    const states = this._controllers.get(checkbox).roots.map(root => this._getRootState(root));
+    
+    let state = 'indeterminate';
+    if (states.every(rootState => rootState === 'checked')) state = 'checked';
+    if (states.every(rootState => rootState === 'unchecked')) state = 'unchecked';
+    
+    checkbox.indeterminate = state === 'indeterminate';
+    checkbox.checked = state === 'checked';
+  }
+  
+  /**
+   * Derive the state of a root from its top-level checkboxes, as if they had a common parent
+   * @private
+   */
+  _getRootState(root) {
+    let counted = this._topLevel.get(root) || [];
+    if (this.options.lockedPolicy === 'ignore') {
+      const unlocked = counted.filter(node => !node.locked);
+      if (unlocked.length) counted = unlocked;
+    }
+    
+    const checkedCount = counted.filter(node => node.state === 'checked').length;
+    if (counted.length && checkedCount === counted.length) return 'checked';
+    if (checkedCount || counted.some(node => node.state === 'indeterminate')) return 'indeterminate';
+    return 'unchecked';
+  }
+  
+  /**
+   * Check or uncheck every top-level checkbox of some roots in a single batch
+   * @private
+   */
+  _setRootsState(roots, isChecked, source, recordHistory = false) {
+    if (this.options.readonly) return;
+    
+    const targets = [];
+    this._forEachChangeable(roots, node => {
+      targets.push([node, isChecked]);
+      return true;
+    });
+    
+    this._trackChanges(source, () => this._applyBatch(targets), recordHistory);
+  }
+  
+  /**
+   * Resolve a root index or element to one of this instance's roots
+   * @private
+   */
+  _resolveRoot(target) {
+    if (typeof target === 'number') return this.roots[target] || null;
+    return this.roots.includes(target) ? target : null;
+  }
+  
+  /**
+   * Watch a root for list items being added or removed
+   * @private
+   */
+  _observe(root) {
+    const { MutationObserver } = TristateCheckbox._viewOf(root);
+    const observer = new MutationObserver(records => this._handleMutations(root, records));
+    observer.observe(root, { childList: true, subtree: true });
+    this._observers.push(observer);
+  }
+  
+  /**
+   * Bind new checkboxes, release removed ones, and refresh the affected ancestors
+   * @private
+   */
+  _handleMutations(root, records) {
+    // Badges, toggles and filter highlights come and go without touching the index
+    const touchesCheckboxes = record => [record.addedNodes, record.removedNodes]
+      .some(list => Array.from(list).some(node => this._getCheckboxesIn(node).length > 0));
+    records = records.filter(touchesCheckboxes);
+    if (!records.length) return;
+    
+    // Removals first, so a node moved within the root is kept
+    records.forEach(record => {
+      record.removedNodes.forEach(node => {
+        this._getCheckboxesIn(node)
+          .filter(checkbox => !root.contains(checkbox))
+          .forEach(checkbox => this._unbindCheckbox(checkbox));
+      });
+    });
+    
+    records.forEach(record => {
+      record.addedNodes.forEach(node => {
+        if (!root.contains(node)) return;
+        this._getCheckboxesIn(node).forEach(checkbox => this._bindCheckbox(checkbox));
+      });
+    });
+    
+    // A resolver can place an item anywhere, so only nested markup is relinked in part
+    const { nodes, previous } = (!this.options.getParentItem && this._relinkScopes(root, records))
+      || this._relinkRoot(root);
+    
+    const owners = [];
+    nodes.forEach(node => {
+      if (!previous.has(node)) {
+        // A new subtree is computed once, from its topmost node
+        if (!node.parent || previous.has(node.parent)) this._initializeNode(node);
+        return;
+      }
+      
+      const before = previous.get(node);
+      if (before.length !== node.children.length || before.some((child, index) => child !== node.children[index])) {
+        owners.push(node);
+      }
+    });
+    
+    // Only the ancestor chains above the mutations need recomputing, deepest first
+    owners.reverse().forEach(node => {
+      this._recount(node);
+      
+      // A parent that lost all its children keeps its value but can no longer be mixed
+      if (node.children.length) {
+        this._updateParentState(node.checkbox);
+      } else if (node.state === 'indeterminate') {
+        this._setCheckboxState(node.checkbox, !this._derivesUp(node) && node.own ? 'checked' : 'unchecked');
+      }
+      this._updateAncestorCheckboxes(node.checkbox);
+    });
+    
+    // Leaf totals change all the way up, even where no state does
+    owners.forEach(node => {
+      for (let ancestor = node; ancestor; ancestor = ancestor.parent) this._recountLeaves(ancestor);
+    });
+    
+    this._flush();
+    
+    if (this.options.collapsible) {
+      this._addToggles(root);
+    }
+    if (this.options.badges) {
+      this._syncBadges(root);
+    }
+    this._syncTreeAria(root);
+    this._syncFormValues(root);
+    this._saveSelection();
+    
+    // Controlled trees show their value over whatever the new markup says
+    this._controlled.forEach(controller => controller.apply());
+  }
+  
+  /**
+   * Relink a whole root
+   * @returns {Object} The linked `nodes` in document order, and the children each existing node had before
+   * @private
+   */
+  _relinkRoot(root) {
+    const previous = new Map();
+    this._nodes.forEach(node => {
+      if (node.root === root) previous.set(node, node.children);
+    });
+    return { nodes: this._linkRoot(root), previous };
+  }
+  
+  /**
+   * Relink only what mutations touched: the subtree of the closest indexed item around
+   * each mutation, or at the top level the added elements and their items
+   * @returns {Object|null} As for _relinkRoot(), or null when the whole root has to be relinked
+   * @private
+   */
+  _relinkScopes(root, records) {
+    const outerItem = this._itemOf(root);
+    const inRoot = item => item && item !== outerItem && root.contains(item);
+    
+    const scopes = new Set();
+    records.forEach(record => {
+      if (!root.contains(record.target)) return;
+      
+      const owner = this._ownerOf(root, record.target);
+      if (owner) {
+        scopes.add(owner.item);
+        return;
+      }
+      
+      const item = this._itemOf(record.target);
+      if (inRoot(item)) {
+        scopes.add(item);
+        return;
+      }
+      record.addedNodes.forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE || !root.contains(node)) return;
+        scopes.add(inRoot(this._itemOf(node)) ? this._itemOf(node) : node);
+      });
+    });
+    
+    // Scopes inside another scope are relinked along with it
+    const outerScopes = [];
+    TristateCheckbox._sortByPosition(Array.from(scopes)).forEach(scope => {
+      const last = outerScopes[outerScopes.length - 1];
+      if (!last || !last.contains(scope)) outerScopes.push(scope);
+    });
+    
+    const previous = new Map();
+    const nodes = [];
+    for (const scope of outerScopes) {
+      if (!this._linkScope(root, scope, nodes, previous)) return null;
+    }
+    
+    // Nodes without a parent in the root are its top level
+    const loose = nodes.filter(node => !node.parent);
+    const looseSet = new Set(loose);
+    const topLevel = (this._topLevel.get(root) || []).filter(node => {
+      return this._nodes.get(node.checkbox) === node && !node.parent && !looseSet.has(node);
+    });
+    loose.forEach(node => TristateCheckbox._insertByPosition(topLevel, node));
+    this._topLevel.set(root, topLevel);
+    
+    return { nodes, previous };
+  }
+  
+  /**
+   * Relink the checkboxes inside one element of a root, the way _linkRoot() links a whole root
+   * @returns {boolean} False if the change reaches outside the element
+   * @private
+   */
+  _linkScope(root, scope, nodes, previous) {
+    const outerItem = this._itemOf(root);
+    const owner = this._itemNodes.get(scope);
+    
+    const scoped = [];
+    const itemNodes = new Map();
+    this._getCheckboxesIn(scope).forEach(checkbox => {
+      if (!this._handlers.has(checkbox)) return;
+      
+      let node = this._nodes.get(checkbox);
+      if (node) {
+        previous.set(node, node.children);
+      } else {
+        node = this._createNode(checkbox, root);
+      }
+      
+      const item = this._itemOf(checkbox);
+      node.item = item !== outerItem ? item : null;
+      node.parent = null;
+      node.children = [];
+      scoped.push(node);
+      
+      if (node.item && !itemNodes.has(node.item)) itemNodes.set(node.item, node);
+    });
+    
+    // A new checkbox that takes over the scope's item would have to replace it in its parent
+    if (owner && itemNodes.get(scope) !== owner) return false;
+    
+    scoped.forEach(node => {
+      if (!node.item || itemNodes.get(node.item) !== node) return;
+      
+      const parentItem = this._parentItemOf(node.item);
+      let parent = parentItem ? itemNodes.get(parentItem) : null;
+      
+      // Only the scope's own node has its parent outside, and stays in its list of children
+      if (!parent && node === owner && parentItem && !scope.contains(parentItem)) {
+        parent = this._itemNodes.get(parentItem);
+      }
+      if (parent && parent !== node && parent.root === root) {
+        node.parent = parent;
+        if (node !== owner) parent.children.push(node);
+      }
+    });
+    
+    itemNodes.forEach((node, item) => this._itemNodes.set(item, node));
+    nodes.push(...scoped);
+    return true;
+  }
+  
+  /**
+   * Find the closest indexed item around an element of a root
+   * @returns {Object|null} Its node, or null when the element is at the top level
+   * @private
+   */
+  _ownerOf(root, element) {
+    const outerItem = this._itemOf(root);
+    for (let item = this._itemOf(element); item && item !== outerItem && root.contains(item); item = this._parentItemOf(item)) {
+      const node = this._itemNodes.get(item);
+      if (node && node.root === root && this._nodes.get(node.checkbox) === node) return node;
+    }
+    return null;
+  }
+  
+  /**
+   * Get all checkboxes within a node, including the node itself
+   * @private
+   */
+  _getCheckboxesIn(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return [];
+    
+    const { checkboxSelector } = this.options;
+    const checkboxes = Array.from(node.querySelectorAll(checkboxSelector));
+    if (this._matches(node, checkboxSelector)) checkboxes.unshift(node);
+    return checkboxes;
+  }
+  
+  /**
+   * Build the tree index of a root and set initial states
+   * @param {Element} root
+   * @param {string[]|null} [selection] - Persisted ids that replace the checked states in the markup
+   * @private
+   */
+  _initializeState(root, selection = null) {
+    // Forget any previous index of this root, e.g. after a form reset,
+    // along with the history recorded against it
+    this._nodes.forEach((node, checkbox) => {
+      if (node.root === root) this._forgetNode(checkbox);
+    });
+    this.clearHistory();
+    
+    const marked = root.hasAttribute('data-tristate-hydrate');
+    root.removeAttribute('data-tristate-hydrate');
+    
+    const nodes = this._linkRoot(root);
+    if (selection) this._applySelection(nodes, selection);
+    
+    // Server-rendered markup already carries the parent states, unless a stored selection
+    // replaces them or the browser restored other checkbox states on reload
+    const hydrate = marked && !selection &&
+      nodes.every(({ checkbox }) => checkbox.checked === checkbox.defaultChecked);
+    
+    // Compute the parent states from the bottom up
+    nodes.forEach(node => {
+      if (!node.parent) this._initializeNode(node, hydrate);
+    });
+    
+    this._flush();
+    
+    if (this.options.badges) {
+      this._syncBadges(root);
+    }
+  }
+  
+  /**
+   * Link the bound checkboxes of a root into a tree, indexing any new ones.
+   * The first checkbox of an item stands for it; the parent of an item comes from
+   * getParentItem, or else is the closest item around it.
+   * @returns {Object[]} The nodes of the root in document order
+   * @private
+   */
+  _linkRoot(root) {
+    // An item around the root itself is not part of the tree
+    const outerItem = this._itemOf(root);
+    
+    // One pass over the checkboxes finds the nodes and maps each item to its own checkbox
+    const nodes = [];
+    const itemNodes = new Map();
+    root.querySelectorAll(this.options.checkboxSelector).forEach(checkbox => {
+      if (!this._handlers.has(checkbox)) return;
+      
+      const node = this._nodes.get(checkbox) || this._createNode(checkbox, root);
+      const item = this._itemOf(checkbox);
+      node.item = item !== outerItem ? item : null;
+      node.parent = null;
+      node.children = [];
+      nodes.push(node);
+      
+      if (node.item && !itemNodes.has(node.item)) itemNodes.set(node.item, node);
+    });
+    
+    // A second pass links each item to the item above it, in document order
+    nodes.forEach(node => {
+      if (!node.item || itemNodes.get(node.item) !== node) return;
+      
+      const parentItem = this._parentItemOf(node.item);
+      const parent = parentItem ? itemNodes.get(parentItem) : null;
+      if (parent && parent !== node) {
+        node.parent = parent;
+        parent.children.push(node);
+      }
+    });
+    
+    this._itemNodes.forEach((node, item) => {
+      if (node.root === root) this._itemNodes.delete(item);
+    });
+    itemNodes.forEach((node, item) => this._itemNodes.set(item, node));
+    this._topLevel.set(root, nodes.filter(node => !node.parent));
+    
+    return nodes;
+  }
+  
+  /**
+   * Create the index entry for a checkbox, reading its current state from the DOM
+   * @private
+   */
+  _createNode(checkbox, root) {
+    const max = parseInt(checkbox.getAttribute('data-tristate-max'), 10);
+    
+    let propagation = checkbox.getAttribute('data-tristate-propagation');
+    if (propagation !== null && !TristateCheckbox.PROPAGATION_MODES.includes(propagation)) {
+      console.error(`TristateCheckbox: Unknown propagation "${propagation}"`);
+      propagation = null;
+    }
+    
+    const lazy = checkbox.hasAttribute('data-tristate-lazy');
+    const lazyCounts = lazy ? this._readLazyCounts(checkbox) : null;
+    
+    const node = {
+      checkbox,
+      item: null,
+      root,
+      parent: null,
+      children: [],
+      state: this._readCheckboxState(checkbox),
+      own: checkbox.checked,
+      propagation,
+      locked: TristateCheckbox._readLocked(checkbox),
+      exclusive: checkbox.hasAttribute('data-tristate-exclusive'),
+      max: Number.isNaN(max) ? null : max,
+      counted: true,
+      total: 0,
+      checkedCount: 0,
+      indeterminateCount: 0,
+      leafCount: 0,
+      checkedLeafCount: 0,
+      mixedCount: 0,
+      lazy,
+      lazyCounts
+    };
+    
+    // renderToString() marks mixed parents, since HTML has no indeterminate attribute.
+    // The property takes over from here, so the markers would only go stale.
+    if (checkbox.hasAttribute('data-tristate-mixed')) {
+      node.state = 'indeterminate';
+      this._pendingWrites.add(node);
+      checkbox.removeAttribute('data-tristate-mixed');
+      checkbox.removeAttribute('aria-checked');
+    }
+    
+    // Server counts stand in for the children of an unloaded item
+    if (lazyCounts) {
+      const { checked, total } = lazyCounts;
+      node.state = checked === 0 ? 'unchecked' : (checked === total ? 'checked' : 'indeterminate');
+      node.own = node.state === 'checked';
+      this._pendingWrites.add(node);
+    }
+    
+    this._nodes.set(checkbox, node);
+    if (node.max !== null) this._limited.add(node);
+    return node;
+  }
+  
+  /**
+   * Remove a checkbox from the index
+   * @private
+   */
+  _forgetNode(checkbox) {
+    const node = this._nodes.get(checkbox);
+    if (!node) return;
+    
+    this._nodes.delete(checkbox);
+    this._limited.delete(node);
+    this._snapshots.delete(node);
+    if (this._itemNodes.get(node.item) === node) this._itemNodes.delete(node.item);
+  }
+  
+  /**
+   * Compute the states of a freshly indexed subtree from the bottom up
+   * @param {Object} node
+   * @param {boolean} [hydrate=false] - Keep the states read from server-rendered markup,
+   *   only counting the children, for the parents the server derives the same way
+   * @private
+   */
+  _initializeNode(node, hydrate = false) {
+    node.children.forEach(child => this._initializeNode(child, hydrate));
+    this._recount(node);
+    
+    if (node.children.length && !(hydrate && this._hydrates(node))) {
+      this._setNodeState(node, this._computeNodeState(node));
+    }
+  }
+  
+  /**
+   * Check whether renderToString() derived a parent's state the way this instance does:
+   * from every child, in a propagation that derives upward and without exclusivity
+   * @private
+   */
+  _hydrates(node) {
+    return this._derivesUp(node) && !node.exclusive && node.total === node.children.length;
+  }
+  
+  /**
+   * Recompute a node's child counters from scratch
+   * @private
+   */
+  _recount(node) {
+    // Locked children can't be changed by the user, so by default they don't count,
+    // unless there is nothing else to go on
+    let counted = node.children;
+    if (this.options.lockedPolicy === 'ignore') {
+      const unlocked = counted.filter(child => !child.locked);
+      if (unlocked.length) counted = unlocked;
+    }
+    
+    node.children.forEach(child => {
+      child.counted = false;
+    });
+    
+    node.total = counted.length;
+    node.checkedCount = 0;
+    node.indeterminateCount = 0;
+    
+    counted.forEach(child => {
+      child.counted = true;
+      if (child.state === 'checked') node.checkedCount++;
+      if (child.state === 'indeterminate') node.indeterminateCount++;
+    });
+    
+    this._recountLeaves(node);
+  }
+  
+  /**
+   * Recompute a node's leaf-level counters from its children. Every leaf counts, locked or not.
+   * @private
+   */
+  _recountLeaves(node) {
+    node.leafCount = 0;
+    node.checkedLeafCount = 0;
+    node.mixedCount = 0;
+    
+    node.children.forEach(child => {
+      if (child.children.length) {
+        node.leafCount += child.leafCount;
+        node.checkedLeafCount += child.checkedLeafCount;
+        node.mixedCount += child.mixedCount;
+      } else {
+        node.leafCount += this._leafTotal(child);
+        node.checkedLeafCount += this._checkedLeaves(child, child.state);
+      }
+      if (child.state === 'indeterminate') node.mixedCount++;
+    });
+  }
+  
+  /**
+   * Count the leaves a node without children stands for: one, or the server
+   * total of an unloaded lazy item
+   * @private
+   */
+  _leafTotal(node) {
+    return node.lazyCounts ? node.lazyCounts.total : 1;
+  }
+  
+  /**
+   * Count the checked leaves a node without children stands for in a given state
+   * @private
+   */
+  _checkedLeaves(node, state) {
+    if (state === 'checked') return this._leafTotal(node);
+    return state === 'indeterminate' && node.lazyCounts ? node.lazyCounts.checked : 0;
+  }
+  
+  /**
+   * Rebuild the index of every root from the DOM. Call this after changing
+   * the markup, `checked` or `disabled` without observe mode.
+   */
+  refresh() {
+    this.roots.forEach(root => {
+      this._initializeState(root);
+      this._syncTreeAria(root);
+      this._syncFormValues(root);
+    });
+    this._saveSelection();
+    
+    // Controlled trees show their value over whatever the markup says
+    this._controlled.forEach(controller => controller.apply());
+  }
+  
+  /**
+   * Create change handler for a checkbox
+   * @private
+   */
+  _createChangeHandler(checkbox) {
+    return () => {
+      // The browser has already toggled the checkbox, the index still holds the state before the click
+      const node = this._nodes.get(checkbox);
+      if (!node) return;
+      
+      const previousState = node.state;
+      const cycling = this.options.cycleIndeterminate && node.children.length > 0 && this._cascadesDown(node);
+      const newState = cycling ? this._nextCycleState(node) : this._readCheckboxState(checkbox);
+      
+      if (this.options.readonly || this._isLocked(checkbox)) {
+        this._writeCheckboxState(checkbox, previousState);
+        return;
+      }
+      
+      const proceed = this._dispatch(checkbox, 'tristate:beforechange', {
+        checkbox,
+        before: previousState,
+        after: newState
+      }, true);
+      
+      if (!proceed) {
+        this._writeCheckboxState(checkbox, previousState);
+        return;
+      }
+      
+      // Propagate the state that was just set by the user
+      this._trackChanges(checkbox, () => {
+        if (cycling) {
+          this._cycle(node, newState);
+        } else {
+          this._applyState(checkbox, newState === 'checked');
+        }
+      }, true);
+    };
+  }
+  
+  /**
+   * Get the state a click moves a parent to in cycleIndeterminate mode:
+   * mixed, then checked, then unchecked, then the remembered mix again
+   * @private
+   */
+  _nextCycleState(node) {
+    if (node.state === 'indeterminate') return 'checked';
+    if (node.state === 'checked') return 'unchecked';
+    return this._snapshots.has(node) ? 'indeterminate' : 'checked';
+  }
+  
+  /**
+   * Move a parent one step through the click cycle, remembering its subtree
+   * when it leaves a mixed state
+   * @private
+   */
+  _cycle(node, state) {
+    if (node.state === 'indeterminate') {
+      this._snapshots.set(node, this._takeSnapshot(node));
+    }
+    
+    // The browser toggled the checkbox its own way, so it is always written back
+    this._pendingWrites.add(node);
+    
+    if (state === 'indeterminate') {
+      this._restoreSnapshot(node);
+    } else {
+      this._applyState(node.checkbox, state === 'checked');
+    }
+  }
+  
+  /**
+   * Record the state and own value of a node and all its descendants
+   * @returns {Map} Node -> {state, own}, ancestors before their descendants
+   * @private
+   */
+  _takeSnapshot(node) {
+    const snapshot = new Map();
+    const visit = current => {
+      snapshot.set(current, { state: current.state, own: current.own });
+      current.children.forEach(visit);
+    };
+    visit(node);
+    return snapshot;
+  }
+  
+  /**
+   * Put a parent's subtree back the way it was snapshotted
+   * @private
+   */
+  _restoreSnapshot(node) {
+    // Locked nodes were never changed, and removed ones are gone
+    const restored = [];
+    this._snapshots.get(node).forEach((saved, current) => {
+      if (this._nodes.get(current.checkbox) !== current || this._isLocked(current.checkbox)) return;
+      
+      this._restoreNode(current, saved);
+      restored.push(current);
+    });
+    
+    // Items added since the snapshot can change the mix, so parents are recomputed bottom-up
+    restored.reverse().forEach(current => this._updateParentState(current.checkbox));
+    this._updateAncestorCheckboxes(node.checkbox);
+  }
+  
+  /**
+   * Forget the snapshots of parents whose subtree was changed by anything other than their own click
+   * @private
+   */
+  _dropSnapshots(log, source) {
+    const sourceNode = source && this._nodes.get(source);
+    
+    log.forEach((before, node) => {
+      for (let ancestor = node; ancestor; ancestor = ancestor.parent) {
+        if (ancestor !== sourceNode) this._snapshots.delete(ancestor);
+      }
+    });
+  }
+  
+  /**
+   * Push a checkbox's state down to its children and up to its ancestors
+   * @private
+   */
+  _propagate(checkbox) {
+    const node = this._nodes.get(checkbox);
+    
+    if (node.children.length && this._cascadesDown(node)) {
+      // Set all children to the same state
+      this._setChildCheckboxes(checkbox, node.own);
+      
+      // Locked descendants and those hidden by a filter keep their state,
+      // which can leave this checkbox mixed
+      this._updateParentState(checkbox);
+    }
+    
+    const released = this._enforceExclusive(checkbox);
+    
+    // Update parent checkboxes if any
+    this._updateAncestorCheckboxes(checkbox);
+    released.forEach(node => this._updateAncestorCheckboxes(node.checkbox));
+  }
+  
+  /**
+   * Uncheck the other children of every exclusive parent on the way up from a checked checkbox
+   * @returns {Object[]} The nodes that were unchecked
+   * @private
+   */
+  _enforceExclusive(checkbox) {
+    const released = [];
+    let node = this._nodes.get(checkbox);
+    if (node.state === 'unchecked') return released;
+    
+    for (; node.parent; node = node.parent) {
+      if (!node.parent.exclusive) continue;
+      
+      node.parent.children.forEach(sibling => {
+        if (sibling === node || sibling.state === 'unchecked' || this._isLocked(sibling.checkbox)) return;
+        
+        this._setOwnState(sibling, false);
+        if (sibling.children.length && this._cascadesDown(sibling)) {
+          this._setChildCheckboxes(sibling.checkbox, false);
+          this._updateParentState(sibling.checkbox);
+        }
+        released.push(sibling);
+      });
+    }
+    
+    return released;
+  }
+  
+  /**
+   * Set a checkbox to the given state and propagate it through the tree
+   * @private
+   */
+  _applyState(checkbox, isChecked) {
+    this._setOwnState(this._nodes.get(checkbox), isChecked);
+    this._propagate(checkbox);
+  }
+  
+  /**
+   * Give a node its own value. A node that does not follow its children keeps
+   * that value, but still shows as mixed while its descendants are.
+   * @private
+   */
+  _setOwnState(node, isChecked) {
+    if (node.own !== isChecked) {
+      this._logChange(node);
+      node.own = isChecked;
+      
+      // A mixed parent shows its own value through the checked property
+      if (node.state === 'indeterminate') this._pendingWrites.add(node);
+    }
+    
+    const state = isChecked ? 'checked' : 'unchecked';
+    this._setNodeState(node, this._derivesUp(node) || !node.children.length ? state : this._computeNodeState(node));
+  }
+  
+  /**
+   * Check whether changing a node changes its children
+   * @private
+   */
+  _cascadesDown(node) {
+    const propagation = node.propagation || this.options.propagation;
+    return propagation === 'both' || propagation === 'down';
+  }
+  
+  /**
+   * Check whether a node's state follows its children
+   * @private
+   */
+  _derivesUp(node) {
+    const propagation = node.propagation || this.options.propagation;
+    return propagation === 'both' || propagation === 'up';
+  }
+  
+  /**
+   * Check whether a node counts as checked: fully checked, or a parent that keeps
+   * its own checked value while its children are mixed
+   * @private
+   */
+  _isSelected(node) {
+    return node.state === 'checked' || (node.state === 'indeterminate' && !this._derivesUp(node) && node.own);
+  }
+  
+  /**
+   * Apply a state to a single checkbox and report the resulting changes
+   * @private
+   */
+  _changeState(checkbox, isChecked) {
+    // A readonly tree only takes a whole new selection, through setValue()
+    if (this.options.readonly) return;
+    
+    this._trackChanges(checkbox, () => {
+      this._applyState(checkbox, isChecked);
+    });
+  }
+  
+  /**
+   * Run an update, write it to the DOM in one pass, and dispatch a
+   * `tristate:change` event listing every checkbox whose state differs afterwards.
+   * An update that takes a parent over its data-tristate-max is undone as a whole
+   * and reported with a `tristate:reject` event instead. So is a change to a controlled
+   * tree, which is only reported to the onChange of control().
+   * @param {Element|null} source - Checkbox that triggered the update, null for bulk updates
+   * @param {Function} update - Performs the state changes
+   * @param {boolean} [recordHistory=false] - Add the changes to the undo history
+   * @returns {boolean} False if the update was rejected or undone
+   * @private
+   */
+  _trackChanges(source, update, recordHistory = false) {
+    // Every change is logged by _logChange with the state and own value it replaced
+    this._changeLog = new Map();
+    let exceeded = null;
+    let requests = [];
+    let changes = null;
+    try {
+      update();
+      
+      exceeded = this._findExceededLimit(this._changeLog);
+      if (!exceeded && this._controlled.size && !this._applyingValue) {
+        // A controlled tree reports the value a change asks for and keeps showing its own,
+        // so the change is undone before anything sees it
+        requests = Array.from(this._controlled, controller => [controller, controller.request()])
+          .filter(([, next]) => next);
+        if (requests.length) {
+          changes = [];
+          this._changeLog.forEach(({ state: before }, node) => {
+            if (node.state !== before) changes.push({ checkbox: node.checkbox, before, after: node.state });
+          });
+        }
+      }
+      if (exceeded || requests.length) {
+        this._changeLog.forEach((before, node) => this._restoreNode(node, before));
+      }
+    } finally {
+      this._flush();
+    }
+    const log = this._changeLog;
+    this._changeLog = null;
+    
+    if (requests.length) {
+      requests.forEach(([controller, next]) => controller.onChange(next, { source, changes }));
+      return false;
+    }
+    
+    if (exceeded) {
+      this._dispatch(source || exceeded.checkbox, 'tristate:reject', {
+        checkbox: source,
+        parent: exceeded.checkbox,
+        max: exceeded.max,
+        reason: 'max'
+      });
+      return false;
+    }
+    
+    if (recordHistory) {
+      this._recordHistory(log);
+    }
+    
+    if (this._snapshots.size) {
+      this._dropSnapshots(log, source);
+    }
+    
+    // Group the changes by root so each tree reports its own
+    const changesByRoot = new Map();
+    log.forEach(({ state: before }, node) => {
+      if (node.state === before) return;
+      
+      if (!changesByRoot.has(node.root)) changesByRoot.set(node.root, []);
+      changesByRoot.get(node.root).push({ checkbox: node.checkbox, before, after: node.state });
+    });
+    
+    if (log.size) {
+      this._saveSelection();
+    }
+    
+    changesByRoot.forEach((changes, root) => {
+      this._syncFormValues(root);
+      this._dispatch(root, 'tristate:change', { source, changes });
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Find a limited parent that an update took over its maximum number of checked leaves
+   * @param {Map} log - Nodes changed by the update, with their previous state and own value
+   * @returns {Object|null} The node whose limit was exceeded
+   * @private
+   */
+  _findExceededLimit(log) {
+    if (!this._limited.size) return null;
+    
+    // Only the limited ancestors of changed leaves can have gone over, and the leaf
+    // counters already hold their totals after the change
+    const changed = new Map();
+    log.forEach((before, leaf) => {
+      if (leaf.children.length) return;
+      
+      const delta = this._checkedLeaves(leaf, leaf.state) - this._checkedLeaves(leaf, before.state);
+      if (!delta) return;
+      
+      for (let node = leaf; node; node = node.parent) {
+        if (this._limited.has(node)) changed.set(node, (changed.get(node) || 0) + delta);
+      }
+    });
+    
+    for (const [node, delta] of changed) {
+      const after = node.children.length ? node.checkedLeafCount : this._checkedLeaves(node, node.state);
+      
+      // Markup that starts out over the limit can still be brought back under it
+      if (after > node.max && delta > 0) return node;
+    }
+    return null;
+  }
+  
+  /**
+   * Whether there is a user action to undo
+   * @type {boolean}
+   */
+  get canUndo() {
+    return this._undoStack.length > 0;
+  }
+  
+  /**
+   * Whether there is an undone action to redo
+   * @type {boolean}
+   */
+  get canRedo() {
+    return this._redoStack.length > 0;
+  }
+  
+  /**
+   * Revert the last recorded user action
+   * @returns {boolean} False if there was nothing to undo
+   */
+  undo() {
+    return this._stepHistory(this._undoStack, this._redoStack, 'before');
+  }
+  
+  /**
+   * Apply the last undone user action again
+   * @returns {boolean} False if there was nothing to redo
+   */
+  redo() {
+    return this._stepHistory(this._redoStack, this._undoStack, 'after');
+  }
+  
+  /**
+   * Forget every recorded action
+   */
+  clearHistory() {
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+  
+  /**
+   * Store the changes of a user action as an undo step
+   * @private
+   */
+  _recordHistory(log) {
+    if (!this.options.history) return;
+    
+    const step = [];
+    log.forEach((before, node) => {
+      if (node.state === before.state && node.own === before.own) return;
+      step.push({ checkbox: node.checkbox, before, after: { state: node.state, own: node.own } });
+    });
+    if (!step.length) return;
+    
+    this._undoStack.push(step);
+    if (this._undoStack.length > this.options.history) this._undoStack.shift();
+    this._redoStack = [];
+  }
+  
+  /**
+   * Move one step from one history stack to the other, restoring one side of it
+   * @private
+   */
+  _stepHistory(from, to, side) {
+    const step = from[from.length - 1];
+    if (!step) return false;
+    
+    const applied = this._trackChanges(null, () => {
+      const restored = [];
+      step.forEach(change => {
+        const node = this._nodes.get(change.checkbox);
+        if (!node) return;
+        
+        this._restoreNode(node, change[side]);
+        restored.push(node);
+      });
+      
+      // Changes made since, through the API or the markup, can leave ancestors to recompute
+      restored.forEach(node => this._updateAncestorCheckboxes(node.checkbox));
+    });
+    if (!applied) return false;
+    
+    from.pop();
+    to.push(step);
+    return true;
+  }
+  
+  /**
+   * Dispatch a bubbling custom event
+   * @returns {boolean} False if a listener canceled the event
+   * @private
+   */
+  _dispatch(target, type, detail, cancelable = false) {
+    // Events come from the target's own window, which differs inside an iframe
+    const { CustomEvent } = TristateCheckbox._viewOf(target);
+    const event = new CustomEvent(type, { bubbles: true, cancelable, detail });
+    return target.dispatchEvent(event);
+  }
+  
+  /**
+   * Check a checkbox and all of its descendants
+   * @param {string|Element} target - Checkbox id, checkbox element, or its item
+   */
+  check(target) {
+    const checkbox = this._resolveCheckbox(target);
+    if (checkbox) this._changeState(checkbox, true);
+  }
+  
+  /**
+   * Uncheck a checkbox and all of its descendants
+   * @param {string|Element} target - Checkbox id, checkbox element, or its item
+   */
+  uncheck(target) {
+    const checkbox = this._resolveCheckbox(target);
+    if (checkbox) this._changeState(checkbox, false);
+  }
+  
+  /**
+   * Toggle a checkbox. An indeterminate checkbox becomes checked, as it would on click.
+   * @param {string|Element} target - Checkbox id, checkbox element, or its item
+   */
+  toggle(target) {
+    const checkbox = this._resolveCheckbox(target);
+    if (checkbox) this._changeState(checkbox, !checkbox.checked);
+  }
+  
+  /**
+   * Get the state of a checkbox
+   * @param {string|Element} target - Checkbox id, checkbox element, or its item
+   * @returns {string|null} 'checked', 'unchecked', 'indeterminate', or null if not found
+   */
+  getState(target) {
+    const checkbox = this._resolveCheckbox(target);
+    return checkbox ? this._getCheckboxState(checkbox) : null;
+  }
+  
+  /**
+   * Set the state of several checkboxes at once. Entries are applied from the
+   * top of the tree down, so a nested entry overrides the state its ancestor
+   * entry pushed down to it. A single `tristate:change` event is dispatched
+   * per root for the whole batch.
+   * @param {Object|Map} states - Map of checkbox (id or element) to true/false or 'checked'/'unchecked'
+   */
+  setState(states) {
+    if (this.options.readonly) return;
+    
+    const entries = states instanceof Map ? Array.from(states) : Object.entries(states);
+    
+    const resolved = [];
+    entries.forEach(([target, state]) => {
+      const checkbox = this._resolveCheckbox(target);
+      if (!checkbox) return;
+      
+      if (state === true || state === 'checked') {
+        resolved.push([checkbox, true]);
+      } else if (state === false || state === 'unchecked') {
+        resolved.push([checkbox, false]);
+      } else {
+        console.error(`TristateCheckbox: Invalid state "${state}" for setState`);
+      }
+    });
+    
+    // Shallowest first so deeper entries win
+    resolved.sort(([a], [b]) => this._getDepth(a) - this._getDepth(b));
+    
+    this._trackChanges(null, () => {
+      this._applyBatch(resolved.map(([checkbox, isChecked]) => [this._nodes.get(checkbox), isChecked]));
+    });
+  }
+  
+  /**
+   * Check every checkbox a predicate matches, along with its descendants, in a single batch
+   * @param {Function} predicate - Called with (checkbox, labelText)
+   * @returns {Element[]} Matching checkboxes in document order
+   */
+  selectWhere(predicate) {
+    return this._setWhere(predicate, true);
+  }
+  
+  /**
+   * Uncheck every checkbox a predicate matches, along with its descendants, in a single batch
+   * @param {Function} predicate - Called with (checkbox, labelText)
+   * @returns {Element[]} Matching checkboxes in document order
+   */
+  deselectWhere(predicate) {
+    return this._setWhere(predicate, false);
+  }
+  
+  /**
+   * Check the checkboxes with the given values. A checkbox without a value attribute
+   * is matched by its id. Other checkboxes keep their state.
+   * @param {string[]} values
+   * @returns {Element[]} Matching checkboxes in document order
+   */
+  selectByValues(values) {
+    const selected = new Set(Array.from(values, String));
+    return this.selectWhere(checkbox => selected.has(TristateCheckbox._checkboxValue(checkbox)));
+  }
+  
+  /**
+   * Check every checkbox, or those of one root
+   * @param {number|Element} [root] - Root index or element
+   */
+  checkAll(root = null) {
+    this._setRootsState(this._resolveRoots(root), true, null);
+  }
+  
+  /**
+   * Uncheck every checkbox, or those of one root
+   * @param {number|Element} [root] - Root index or element
+   */
+  uncheckAll(root = null) {
+    this._setRootsState(this._resolveRoots(root), false, null);
+  }
+  
+  /**
+   * Flip every checked leaf to unchecked and the other way around, then recompute the
+   * parents. Parents that keep their own value under the propagation mode flip too.
+   * @param {number|Element} [root] - Root index or element, defaults to every root
+   */
+  invert(root = null) {
+    if (this.options.readonly) return;
+    
+    const targets = [];
+    this._forEachChangeable(this._resolveRoots(root), node => {
+      if (!node.children.length) {
+        targets.push([node, node.state !== 'checked']);
+      } else if (!this._derivesUp(node)) {
+        targets.push([node, !node.own]);
+      }
+    });
+    
+    this._trackChanges(null, () => this._applyBatch(targets, false));
+  }
+  
+  /**
+   * Set the matches of a predicate in a single batch
+   * @private
+   */
+  _setWhere(predicate, isChecked) {
+    if (this.options.readonly) return [];
+    
+    const matched = [];
+    const targets = [];
+    
+    this._forEachChangeable(this.roots, (node, covered) => {
+      if (!predicate(node.checkbox, this._getItemLabel(node.item))) return covered;
+      
+      matched.push(node.checkbox);
+      if (covered) return true;
+      
+      // Descendants of a match that cascades already follow it
+      targets.push([node, isChecked]);
+      return node.children.length > 0 && this._cascadesDown(node) && !(node.exclusive && isChecked);
+    });
+    
+    this._trackChanges(null, () => this._applyBatch(targets));
+    return matched;
+  }
+  
+  /**
+   * Visit the nodes of some roots in document order, skipping locked branches and
+   * checkboxes hidden by a filter, as propagation does
+   * @param {Element[]} roots
+   * @param {Function} callback - Called with (node, covered), where covered is the value
+   *   the callback returned for the parent. Return true to mark the descendants as covered.
+   * @private
+   */
+  _forEachChangeable(roots, callback) {
+    const visit = (node, covered) => {
+      if (this._isLocked(node.checkbox) || this._filteredOut.has(node.checkbox)) return;
+      
+      const childrenCovered = Boolean(callback(node, covered));
+      node.children.forEach(child => visit(child, childrenCovered));
+    };
+    roots.forEach(root => (this._topLevel.get(root) || []).forEach(node => visit(node, false)));
+  }
+  
+  /**
+   * Resolve an optional root argument to a list of roots
+   * @private
+   */
+  _resolveRoots(target) {
+    if (target === null || target === undefined) return this.roots;
+    
+    const root = this._resolveRoot(target);
+    return root ? [root] : [];
+  }
+  
+  /**
+   * Give many nodes their own value, then recompute their ancestors once for the
+   * whole batch instead of walking up after every node
+   * @param {Array} targets - [node, isChecked] pairs, ancestors before their descendants
+   * @param {boolean} [cascade=true] - Push each value down to the node's children
+   * @private
+   */
+  _applyBatch(targets, cascade = true) {
+    targets.forEach(([node, isChecked]) => {
+      this._setOwnState(node, isChecked);
+      
+      if (cascade && node.children.length && this._cascadesDown(node)) {
+        this._setChildCheckboxes(node.checkbox, isChecked);
+        this._updateParentState(node.checkbox);
+      }
+    });
+    this._updateAncestorsOf(targets.map(([node]) => node));
+    
+    // Exclusive parents are settled once every state above is current, the first checked child winning
+    const released = [];
+    targets.forEach(([node]) => released.push(...this._enforceExclusive(node.checkbox)));
+    this._updateAncestorsOf(released);
+  }
+  
+  /**
+   * Recompute the ancestors of several nodes, deepest first, visiting each ancestor once
+   * @private
+   */
+  _updateAncestorsOf(nodes) {
+    const levels = [];
+    const queued = new Set();
+    const enqueue = node => {
+      const parent = node.parent;
+      if (!parent || queued.has(parent)) return;
+      
+      queued.add(parent);
+      const depth = this._getDepth(parent.checkbox);
+      (levels[depth] = levels[depth] || []).push(parent);
+    };
+    nodes.forEach(enqueue);
+    
+    // A parent only needs its own parent recomputed if its state changed
+    for (let depth = levels.length - 1; depth >= 0; depth--) {
+      (levels[depth] || []).forEach(parent => {
+        const state = this._computeNodeState(parent);
+        if (state === parent.state) return;
+        
+        this._setNodeState(parent, state);
+        enqueue(parent);
+      });
+    }
+  }
+  
+  /**
+   * Count the selection below a checkbox, or below every parent
+   * @param {string|Element} [target] - Checkbox id, checkbox element, or its item
+   * @returns {Object|Object[]|null} For a target, `{checkbox, state, checked, total, indeterminate}`
+   *   where checked and total count leaves and indeterminate counts mixed descendants, or null if
+   *   not found. Without a target, the summaries of every parent in document order.
+   */
+  getSummary(target) {
+    if (target === undefined) {
+      const summaries = [];
+      this._forEachNode(node => {
+        if (node.children.length) summaries.push(this._summarize(node));
+      });
+      return summaries;
+    }
+    
+    const checkbox = this._resolveCheckbox(target);
+    return checkbox ? this._summarize(this._nodes.get(checkbox)) : null;
+  }
+  
+  /**
+   * Build the summary of a node from its leaf-level counters
+   * @private
+   */
+  _summarize(node) {
+    const isParent = node.children.length > 0;
+    
+    return {
+      checkbox: node.checkbox,
+      state: node.state,
+      checked: isParent ? node.checkedLeafCount : this._checkedLeaves(node, node.state),
+      total: isParent ? node.leafCount : this._leafTotal(node),
+      indeterminate: isParent ? node.mixedCount : 0
+    };
+  }
+  
+  /**
+   * Visit every node of every root in document order
+   * @private
+   */
+  _forEachNode(callback, roots = this.roots) {
+    const visit = node => {
+      callback(node);
+      node.children.forEach(visit);
+    };
+    roots.forEach(root => (this._topLevel.get(root) || []).forEach(visit));
+  }
+  
+  /**
+   * Add a badge to every parent of a root, and remove those of checkboxes
+   * that are no longer parents or no longer in the tree
+   * @private
+   */
+  _syncBadges(root) {
+    this._nodes.forEach(node => {
+      if (node.root !== root) return;
+      
+      if (node.children.length) {
+        this._renderBadge(node);
+      } else {
+        this._removeBadge(node.checkbox);
+      }
+    });
+    
+    this._badges.forEach((badge, checkbox) => {
+      if (!this._nodes.has(checkbox)) this._removeBadge(checkbox);
+    });
+  }
+  
+  /**
+   * Refresh the badges above a set of changed nodes, each one once
+   * @private
+   */
+  _updateBadges(nodes) {
+    const stale = new Set();
+    nodes.forEach(node => {
+      for (let ancestor = node.parent; ancestor && !stale.has(ancestor); ancestor = ancestor.parent) {
+        stale.add(ancestor);
+      }
+    });
+    
+    stale.forEach(node => {
+      if (this._badges.has(node.checkbox)) this._renderBadge(node);
+    });
+  }
+  
+  /**
+   * Create or update the badge of a parent node
+   * @private
+   */
+  _renderBadge(node) {
+    let badge = this._badges.get(node.checkbox);
+    if (!badge) {
+      badge = node.item.ownerDocument.createElement('span');
+      badge.className = 'tristate-count';
+      
+      const label = this._getLabel(node.item);
+      (label && node.item.contains(label) ? label : node.checkbox).after(badge);
+      this._badges.set(node.checkbox, badge);
+    }
+    
+    const format = typeof this.options.badges === 'function' ? this.options.badges : TristateCheckbox._formatBadge;
+    const text = String(format(this._summarize(node)) ?? '');
+    
+    if (badge.textContent !== text) badge.textContent = text;
+    badge.hidden = !text;
+  }
+  
+  /**
+   * Remove the badge of a checkbox, if it has one
+   * @private
+   */
+  _removeBadge(checkbox) {
+    const badge = this._badges.get(checkbox);
+    if (!badge) return;
+    
+    badge.remove();
+    this._badges.delete(checkbox);
+  }
+  
+  /**
+   * Get the indexed state of a checkbox as a string
+   * @private
+   */
+  _getCheckboxState(checkbox) {
+    const node = this._nodes.get(checkbox);
+    return node ? node.state : this._readCheckboxState(checkbox);
+  }
+  
+  /**
+   * Read the state of a checkbox from the DOM
+   * @private
+   */
+  _readCheckboxState(checkbox) {
+    if (checkbox.indeterminate) return 'indeterminate';
+    return checkbox.checked ? 'checked' : 'unchecked';
+  }
+  
+  /**
+   * Set the state of a checkbox in the index. The DOM is updated on the next flush.
+   * @private
+   */
+  _setCheckboxState(checkbox, state) {
+    const node = this._nodes.get(checkbox);
+    if (node) this._setNodeState(node, state);
+  }
+  
+  /**
+   * Set the state of a node, keeping its parent's counters current
+   * @private
+   */
+  _setNodeState(node, state) {
+    if (node.state === state) return;
+    
+    this._logChange(node);
+    
+    const parent = node.parent;
+    if (parent && node.counted) {
+      if (node.state === 'checked') parent.checkedCount--;
+      if (node.state === 'indeterminate') parent.indeterminateCount--;
+      if (state === 'checked') parent.checkedCount++;
+      if (state === 'indeterminate') parent.indeterminateCount++;
+    }
+    
+    // The leaf-level counters of every ancestor include this node
+    const checkedDelta = node.children.length
+      ? 0
+      : this._checkedLeaves(node, state) - this._checkedLeaves(node, node.state);
+    const mixedDelta = (state === 'indeterminate') - (node.state === 'indeterminate');
+    if (checkedDelta || mixedDelta) {
+      for (let ancestor = parent; ancestor; ancestor = ancestor.parent) {
+        ancestor.checkedLeafCount += checkedDelta;
+        ancestor.mixedCount += mixedDelta;
+      }
+    }
+    
+    node.state = state;
+    this._pendingWrites.add(node);
+  }
+  
+  /**
+   * Remember what a node was before the current update first changed it
+   * @private
+   */
+  _logChange(node) {
+    if (this._changeLog && !this._changeLog.has(node)) {
+      this._changeLog.set(node, { state: node.state, own: node.own });
+    }
+  }
+  
+  /**
+   * Put a node back to a logged state and own value
+   * @private
+   */
+  _restoreNode(node, { state, own }) {
+    if (node.own !== own) {
+      this._logChange(node);
+      node.own = own;
+      this._pendingWrites.add(node);
+    }
+    this._setNodeState(node, state);
+  }
+  
+  /**
+   * Write every pending state change to the DOM in a single pass
+   * @private
+   */
+  _flush() {
+    if (this._badges.size) {
+      this._updateBadges(this._pendingWrites);
+    }
+    
+    this._pendingWrites.forEach(node => {
+      this._writeCheckboxState(node.checkbox, node.state);
+    });
+    this._pendingWrites.clear();
+    
+    // Removed or relinked items can change a root's state without any writes
+    this._controllers.forEach((controller, checkbox) => this._syncController(checkbox));
+  }
+  
+  /**
+   * Write a state string to a checkbox element
+   * @private
+   */
+  _writeCheckboxState(checkbox, state) {
+    // A parent that does not follow its children keeps its own value while it shows them as mixed
+    const node = this._nodes.get(checkbox);
+    const ownValue = state === 'indeterminate' && node && !this._derivesUp(node) && node.own;
+    
+    checkbox.indeterminate = state === 'indeterminate';
+    checkbox.checked = state === 'checked' || ownValue;
+    this._syncAria(checkbox);
+  }
+  
+  /**
+   * Count the ancestors of a checkbox
+   * @private
+   */
+  _getDepth(checkbox) {
+    let depth = 0;
+    let node = this._nodes.get(checkbox);
+    
+    while (node && node.parent) {
+      depth++;
+      node = node.parent;
+    }
+    
+    return depth;
+  }
+  
+  /**
+   * Resolve an id, checkbox, or item to a managed checkbox
+   * @private
+   */
+  _resolveCheckbox(target) {
+    let element = target;
+    
+    if (typeof target === 'string') {
+      element = this._findById(target);
+    } else if (this._itemNodes.has(element)) {
+      element = this._itemCheckbox(element);
+    }
+    
+    if (!element || !this._nodes.has(element)) return null;
+    return element;
+  }
+  
+  /**
+   * Find a managed checkbox by id in the documents or shadow roots the roots live in
+   * @private
+   */
+  _findById(id) {
+    for (const root of this.roots) {
+      // A root that is not attached yet has no document or shadow root to look in
+      const scope = root.getRootNode();
+      const element = typeof scope.getElementById === 'function'
+        ? scope.getElementById(id)
+        : root.querySelector(`[id="${id.replace(/["\\]/g, '\\$&')}"]`);
+      
+      if (element && this._nodes.has(element)) return element;
+    }
+    return null;
+  }
+  
+  /**
+   * Set all child checkboxes to the given state
+   * @private
+   */
+  _setChildCheckboxes(parentCheckbox, isChecked) {
+    const parent = this._nodes.get(parentCheckbox);
+    const kept = isChecked && parent.exclusive ? this._findKeptChild(parent) : null;
+    
+    // Set all checkboxes in this subtree
+    parent.children.forEach(node => {
+      // Locked branches keep their value, and while filtered only the
+      // visible descendants follow their parent
+      if (this._isLocked(node.checkbox) || this._filteredOut.has(node.checkbox)) return;
+      
+      const childChecked = parent.exclusive && isChecked ? node === kept : isChecked;
+      this._setOwnState(node, childChecked);
+      
+      if (node.children.length && this._cascadesDown(node)) {
+        this._setChildCheckboxes(node.checkbox, childChecked);
+        this._updateParentState(node.checkbox);
+      }
+    });
+  }
+  
+  /**
+   * Choose the child that stays checked when an exclusive parent is checked: the one
+   * already checked, else a partly checked one, else the first one that can change
+   * @private
+   */
+  _findKeptChild(parent) {
+    const available = parent.children.filter(node => {
+      return !this._isLocked(node.checkbox) && !this._filteredOut.has(node.checkbox);
+    });
+    
+    return parent.children.find(node => node.state === 'checked')
+      || available.find(node => node.state === 'indeterminate')
+      || available[0]
+      || null;
+  }
+  
+  /**
+   * Check whether a checkbox is locked against propagation. The index is the only source,
+   * so a lock added or removed later takes effect when the tree is refreshed.
+   * @private
+   */
+  _isLocked(checkbox) {
+    const node = this._nodes.get(checkbox);
+    return node ? node.locked : TristateCheckbox._readLocked(checkbox);
+  }
+  
+  /**
+   * Update the state of all ancestor checkboxes
+   * @private
+   */
+  _updateAncestorCheckboxes(checkbox) {
+    let parent = this._nodes.get(checkbox).parent;
+    
+    // Walk up the index, stopping once a parent's state no longer changes
+    while (parent) {
+      const state = this._computeNodeState(parent);
+      if (state === parent.state) break;
+      
+      this._setNodeState(parent, state);
+      parent = parent.parent;
+    }
+  }
+  
+  /**
+   * Update a single parent checkbox based on its children's state
+   * @private
+   */
+  _updateParentState(parentCheckbox) {
+    const node = this._nodes.get(parentCheckbox);
+    if (node && node.children.length) {
+      this._setNodeState(node, this._computeNodeState(node));
+    }
+  }
+  
+  /**
+   * Compute the state a parent node should show. A parent that follows its children
+   * takes their combined state, any other keeps its own value unless they are mixed.
+   * @private
+   */
+  _computeNodeState(node) {
+    const derived = this._deriveNodeState(node);
+    if (this._derivesUp(node) || derived === 'indeterminate') return derived;
+    return node.own ? 'checked' : 'unchecked';
+  }
+  
+  /**
+   * Compute a parent node's state from its child counters
+   * @private
+   */
+  _deriveNodeState(node) {
+    const { total, checkedCount, indeterminateCount } = node;
+    
+    // One checked child completes an exclusive parent
+    if (node.exclusive) {
+      if (checkedCount > 0) return 'checked';
+      return indeterminateCount > 0 ? 'indeterminate' : 'unchecked';
+    }
+    
+    if (indeterminateCount > 0 || (checkedCount > 0 && checkedCount < total)) {
+      // Some but not all children are checked, or at least one child is indeterminate
+      return 'indeterminate';
+    } else if (checkedCount === total) {
+      // All children are checked
+      return 'checked';
+    }
+    
+    // No children are checked
+    return 'unchecked';
+  }
+  
+  /**
+   * Find the parent checkbox of a given checkbox
+   * @private
+   */
+  _findParentCheckbox(checkbox) {
+    const node = this._nodes.get(checkbox);
+    return node && node.parent ? node.parent.checkbox : null;
+  }
+  
+  /**
+   * Find all immediate child checkboxes of a parent
+   * @private
+   */
+  _findChildCheckboxes(parentCheckbox) {
+    const node = this._nodes.get(parentCheckbox);
+    return node ? node.children.map(child => child.checkbox) : [];
+  }
+  
+  /**
+   * Find the item an element belongs to, starting with the element itself
+   * @private
+   */
+  _itemOf(element) {
+    return this._closest(element, this.options.itemSelector);
+  }
+  
+  /**
+   * Find the item above an item
+   * @private
+   */
+  _parentItemOf(item) {
+    const { getParentItem } = this.options;
+    return getParentItem ? getParentItem(item) || null : this._itemOf(item.parentElement);
+  }
+  
+  /**
+   * Find the group of child items directly inside an item
+   * @private
+   */
+  _groupOf(item) {
+    return this._childElements(item, this.options.groupSelector)[0] || null;
+  }
+  
+  /**
+   * Find the checkbox that stands for an item
+   * @private
+   */
+  _itemCheckbox(item) {
+    const node = this._itemNodes.get(item);
+    return node ? node.checkbox : null;
+  }
+  
+  /**
+   * Find the closest element matching a selector, starting with the element itself
+   * @private
+   */
+  _closest(element, selector) {
+    for (let current = element; current; current = current.parentElement) {
+      if (this._matches(current, selector)) return current;
+    }
+    return null;
+  }
+  
+  /**
+   * Check an element against a selector. The default selectors are compared by tag name,
+   * which is much faster than matches() on large trees.
+   * @private
+   */
+  _matches(element, selector) {
+    switch (selector) {
+      case 'li':
+        return element.tagName === 'LI';
+      case 'ul':
+        return element.tagName === 'UL';
+      case 'input[type="checkbox"]':
+        return element.tagName === 'INPUT' && element.type === 'checkbox';
+      default:
+        return element.matches(selector);
+    }
+  }
+  
+  /**
+   * Get the direct children of an element that match a selector or test function.
+   * Used instead of `:scope >` queries, which jsdom's selector engine caches incorrectly.
+   * @private
+   */
+  _childElements(element, selector) {
+    const test = typeof selector === 'function' ? selector : child => this._matches(child, selector);
+    const matches = [];
+    for (let child = element.firstElementChild; child; child = child.nextElementSibling) {
+      if (test(child)) matches.push(child);
+    }
+    return matches;
+  }
+  
+  /**
+   * Create a store that keeps ids as JSON under a key of a Web Storage area
+   * @param {string} area - 'localStorage' or 'sessionStorage'
+   * @param {string} key
+   * @private
+   */
+  static _storageAdapter(area, key) {
+    return {
+      key: `${area}:${key}`,
+      load: () => {
+        const stored = window[area].getItem(key);
+        return stored ? JSON.parse(stored) : null;
+      },
+      save: ids => window[area].setItem(key, JSON.stringify(ids))
+    };
+  }
+  
+  /**
+   * Check whether a value is an element, from this window or any other
+   * @private
+   */
+  static _isElement(value) {
+    return Boolean(value) && value.nodeType === 1 && typeof value.tagName === 'string';
+  }
+  
+  /**
+   * Get the window a node belongs to, falling back to the global one for detached documents
+   * @private
+   */
+  static _viewOf(node) {
+    return (node.ownerDocument && node.ownerDocument.defaultView) || window;
+  }
+  
+  /**
+   * Default badge text: checked leaves over all leaves
+   * @private
+   */
+  static _formatBadge({ checked, total }) {
+    return `${checked}/${total}`;
+  }
+  
+  /**
+   * Sort elements into document order
+   * @private
+   */
+  static _sortByPosition(elements) {
+    return elements.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+  }
+  
+  /**
+   * Insert a node into a list of nodes kept in document order
+   * @private
+   */
+  static _insertByPosition(list, node) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (list[middle].checkbox.compareDocumentPosition(node.checkbox) & Node.DOCUMENT_POSITION_FOLLOWING) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    list.splice(low, 0, node);
+  }
+  
+  /**
+   * Read from the markup whether a checkbox is locked
+   * @private
+   */
+  static _readLocked(checkbox) {
+    return checkbox.disabled || checkbox.hasAttribute('data-tristate-locked');
+  }
+  
+  /**
+   * Get the value a checkbox contributes: its value attribute, else its id
+   * @private
+   */
+  static _checkboxValue(checkbox) {
+    return checkbox.hasAttribute('value') ? checkbox.value : checkbox.id;
+  }
+  
+  /**
+   * Check whether two lists hold the same values, in any order
+   * @private
+   */
+  static _sameValues(a, b) {
+    const values = new Set(a);
+    return values.size === new Set(b).size && b.every(value => values.has(value));
+  }
+  
+  /**
+   * Split a comma-separated list of ids from a URL
+   * @returns {string[]|null} Ids, or null for a missing parameter
+   * @private
+   */
+  static _parseIds(value) {
+    return value === null ? null : value.split(',').filter(Boolean);
+  }
+  
+  /**
+   * Get the instance that manages a root element
+   * @param {Element} element - A root passed to the constructor or found by its selector
+   * @returns {TristateCheckbox|null}
+   */
+  static getInstance(element) {
+    return TristateCheckbox._instances.get(element) || null;
+  }
+  
+  /**
+   * Initialize every element with a data-tristate attribute in a scope, reading
+   * the options from data-tristate-* attributes. Elements that already have an
+   * instance keep it, so running this twice is safe.
+   * @param {Document|ShadowRoot|Element} [scope=document]
+   * @returns {TristateCheckbox[]} The instance of every data-tristate element in the scope
+   */
+  static autoInit(scope = document) {
+    const elements = Array.from(scope.querySelectorAll('[data-tristate]'));
+    if (TristateCheckbox._isElement(scope) && scope.hasAttribute('data-tristate')) {
+      elements.unshift(scope);
+    }
+    
+    return elements.map(element => {
+      const existing = TristateCheckbox.getInstance(element);
+      if (existing) return existing;
+      
+      const instance = new TristateCheckbox(element, TristateCheckbox._readOptions(element));
+      TristateCheckbox._autoInstances.add(instance);
+      return instance;
+    });
+  }
+  
+  /**
+   * Initialize the data-tristate elements of a document once it is parsed, then keep
+   * watching it: added elements are initialized, and the instances of removed ones
+   * are destroyed. Called when the script is loaded from a tag with data-tristate-auto.
+   * @param {Document} [doc=document]
+   */
+  static startAutoInit(doc = document) {
+    if (TristateCheckbox._autoInit) return;
+    
+    const state = { doc, observer: null };
+    TristateCheckbox._autoInit = state;
+    
+    const start = () => {
+      // Stopped before the document finished parsing
+      if (TristateCheckbox._autoInit !== state) return;
+      
+      TristateCheckbox.autoInit(doc);
+      
+      const { MutationObserver } = TristateCheckbox._viewOf(doc.documentElement);
+      state.observer = new MutationObserver(records => TristateCheckbox._handleAutoMutations(records));
+      state.observer.observe(doc.documentElement, { childList: true, subtree: true });
+    };
+    
+    if (doc.readyState === 'loading') {
+      doc.addEventListener('DOMContentLoaded', start, { once: true });
+    } else {
+      start();
+    }
+  }
+  
+  /**
+   * Stop watching for data-tristate elements. Existing instances are kept.
+   */
+  static stopAutoInit() {
+    const state = TristateCheckbox._autoInit;
+    if (!state) return;
+    
+    if (state.observer) state.observer.disconnect();
+    TristateCheckbox._autoInit = null;
+  }
+  
+  /**
+   * Destroy auto-initialized instances whose roots left the document, and initialize added elements
+   * @private
+   */
+  static _handleAutoMutations(records) {
+    // Elements moved within the document are still connected, and keep their instance
+    if (records.some(record => record.removedNodes.length)) {
+      TristateCheckbox._autoInstances.forEach(instance => {
+        if (instance.roots.every(root => !root.isConnected)) instance.destroy();
+      });
+    }
+    
+    records.forEach(record => {
+      record.addedNodes.forEach(node => {
+        if (!TristateCheckbox._isElement(node) || !node.isConnected) return;
+        
+        // Items added to a tree that already has an instance are its own business
+        const owner = node.parentElement && node.parentElement.closest('[data-tristate]');
+        if (owner && TristateCheckbox.getInstance(owner)) return;
+        
+        TristateCheckbox.autoInit(node);
+      });
+    });
+  }
+  
+  /**
+   * Read constructor options from the data-tristate-* attributes of an element,
+   * e.g. data-tristate-propagation="down" or data-tristate-history="20"
+   * @private
+   */
+  static _readOptions(element) {
+    const options = {};
+    
+    Object.keys(TristateCheckbox.defaults).forEach(key => {
+      // Functions and elements can't be written as attributes
+      if (['getParentItem', 'loadChildren', 'root'].includes(key)) return;
+      
+      const name = `data-tristate-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+      const value = element.getAttribute(name);
+      if (value === null) return;
+      
+      const fallback = TristateCheckbox.defaults[key];
+      if (key === 'persistSelection' || key === 'persistExpanded') {
+        options[key] = TristateCheckbox._parseStore(value);
+      } else if (typeof fallback === 'boolean') {
+        options[key] = value !== 'false';
+      } else if (typeof fallback === 'number') {
+        const number = parseInt(value, 10);
+        if (Number.isNaN(number)) {
+          console.error(`TristateCheckbox: Invalid number "${value}" for ${name}`);
+        } else {
+          options[key] = number;
+        }
+      } else {
+        options[key] = value;
+      }
+    });
+    
+    // data-tristate-persist is short for data-tristate-persist-selection
+    const persist = element.getAttribute('data-tristate-persist');
+    if (persist !== null && !('persistSelection' in options)) {
+      options.persistSelection = TristateCheckbox._parseStore(persist);
+    }
+    
+    return options;
+  }
+  
+  /**
+   * Turn a persist attribute into a store: "query" or "hash", optionally followed by
+   * ":param", "session:key" for sessionStorage, or a localStorage key
+   * @private
+   */
+  static _parseStore(value) {
+    const [type, ...rest] = value.split(':');
+    const param = rest.join(':') || undefined;
+    
+    if (type === 'query' || type === 'hash') return TristateCheckbox.adapters[type](param);
+    if (type === 'session' && param) return TristateCheckbox.adapters.sessionStorage(param);
+    return value;
+  }
+  
+  /**
+   * Build a tree from data and initialize it
+   * @param {Element} container - Element the generated list is rendered into; existing content is replaced
+   * @param {Object[]} data - Nodes shaped as {id, label, checked, name, value, children}
+   * @param {Object} [options] - Options passed to the constructor
+   * @returns {TristateCheckbox}
+   */
+  static render(container, data, options = {}) {
+    const list = container.ownerDocument.createElement('ul');
+    list.className = 'tristate';
+    TristateCheckbox._renderItems(list, data, null);
+    
+    container.replaceChildren(list);
+    
+    // The generated markup is always a nested list, whatever the defaults say
+    return new TristateCheckbox(list, Object.assign({}, options, {
+      checkboxSelector: 'input[type="checkbox"]',
+      itemSelector: 'li',
+      groupSelector: 'ul',
+      getParentItem: null
+    }));
+  }
+  
+  /**
+   * Render tree data to an HTML string without a DOM, e.g. on the server. The markup
+   * matches render(), with the parent states already worked out: partly checked parents
+   * get aria-checked="mixed" and a data-tristate-mixed marker, so they show as mixed
+   * before any script runs. The instance on the client takes the parent states from the
+   * markup instead of recomputing them, except where its own options derive them differently.
+   * @param {Object[]} data - Nodes shaped as {id, label, checked, name, value, children}
+   * @param {Object} [options]
+   * @param {Object} [options.attributes] - Extra attributes for the list, e.g. {'data-tristate': ''}
+   * @returns {string} A ul.tristate list
+   */
+  static renderToString(data, options = {}) {
+    const attributes = Object.assign({ class: 'tristate' }, options.attributes, { 'data-tristate-hydrate': '' });
+    const items = data.map(node => TristateCheckbox._renderItemString(node, null).html);
+    
+    return `<ul${TristateCheckbox._attributesToString(attributes)}>${items.join('')}</ul>`;
+  }
+  
+  /**
+   * Render one node and its children to HTML, along with the state it ends up in
+   * @returns {Object} {html, state}
+   * @private
+   */
+  static _renderItemString(node, parentChecked) {
+    const id = node.id || `tristate-${++TristateCheckbox._idCounter}`;
+    const isChecked = parentChecked ?? Boolean(node.checked);
+    
+    let state = isChecked ? 'checked' : 'unchecked';
+    let group = '';
+    const attributes = { type: 'checkbox', id };
+    if (node.name !== undefined) attributes.name = node.name;
+    if (node.value !== undefined) attributes.value = node.value;
+    
+    if (node.children && node.children.length) {
+      const children = node.children.map(child => TristateCheckbox._renderItemString(child, isChecked || null));
+      state = TristateCheckbox._combineStates(children.map(child => child.state));
+      group = `<ul>${children.map(child => child.html).join('')}</ul>`;
+    } else if (node.lazy) {
+      attributes['data-tristate-lazy'] = '';
+      if (parentChecked === null && node.checkedCount !== undefined && node.totalCount !== undefined) {
+        attributes['data-tristate-checked-count'] = node.checkedCount;
+        attributes['data-tristate-total-count'] = node.totalCount;
+        
+        if (node.checkedCount <= 0) state = 'unchecked';
+        else state = node.checkedCount >= node.totalCount ? 'checked' : 'indeterminate';
+      }
+      group = '<ul hidden></ul>';
+    }
+    
+    if (state === 'checked') attributes.checked = '';
+    if (state === 'indeterminate') {
+      attributes['aria-checked'] = 'mixed';
+      attributes['data-tristate-mixed'] = '';
+    }
+    
+    const label = `<label for="${TristateCheckbox._escapeHtml(id)}">${TristateCheckbox._escapeHtml(node.label ?? '')}</label>`;
+    return {
+      html: `<li><input${TristateCheckbox._attributesToString(attributes)}>${label}${group}</li>`,
+      state
+    };
+  }
+  
+  /**
+   * Combine the states of a parent's children the way a parent in 'both' propagation shows them
+   * @private
+   */
+  static _combineStates(states) {
+    if (states.every(state => state === 'checked')) return 'checked';
+    if (states.every(state => state === 'unchecked')) return 'unchecked';
+    return 'indeterminate';
+  }
+  
+  /**
+   * Serialize attributes, writing an empty value as a bare attribute name
+   * @private
+   */
+  static _attributesToString(attributes) {
+    return Object.keys(attributes).map(name => {
+      const value = String(attributes[name]);
+      return value === '' ? ` ${name}` : ` ${name}="${TristateCheckbox._escapeHtml(value)}"`;
+    }).join('');
+  }
+  
+  /**
+   * Escape text for use in HTML content and quoted attribute values
+   * @private
+   */
+  static _escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, character => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;'
+    })[character]);
+  }
+  
+  /**
+   * Append one LI per node to a list, recursing into children
+   * @param {Element|DocumentFragment} list
+   * @param {Object[]} nodes
+   * @param {boolean|null} parentChecked - Checked state pushed down by the parent, null to use the data
+   * @private
+   */
+  static _renderItems(list, nodes, parentChecked) {
+    const doc = list.ownerDocument;
+    
+    nodes.forEach(node => {
+      const li = doc.createElement('li');
+      const id = node.id || `tristate-${++TristateCheckbox._idCounter}`;
+      
+      const checkbox = doc.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = id;
+      if (node.name !== undefined) checkbox.name = node.name;
+      if (node.value !== undefined) checkbox.value = node.value;
+      
+      // A checked parent checks its whole subtree, as a click would
+      const isChecked = parentChecked ?? Boolean(node.checked);
+      checkbox.checked = isChecked;
+      checkbox.defaultChecked = isChecked;
+      
+      if (node.lazy) {
+        checkbox.setAttribute('data-tristate-lazy', '');
+        if (parentChecked === null && node.checkedCount !== undefined && node.totalCount !== undefined) {
+          checkbox.setAttribute('data-tristate-checked-count', node.checkedCount);
+          checkbox.setAttribute('data-tristate-total-count', node.totalCount);
+        }
+      }
+      
+      const label = doc.createElement('label');
+      label.htmlFor = id;
+      label.textContent = node.label ?? '';
+      
+      li.append(checkbox, label);
+      
+      if (node.children && node.children.length) {
+        const childList = doc.createElement('ul');
+        TristateCheckbox._renderItems(childList, node.children, isChecked || null);
+        li.appendChild(childList);
+      } else if (node.lazy) {
+        // An empty, collapsed group that the children are loaded into
+        const childList = doc.createElement('ul');
+        childList.hidden = true;
+        li.appendChild(childList);
+      }
+      
+      list.appendChild(li);
+    });
+  }
+  
+  /**
+   * Serialize the current tree back to the data shape accepted by render()
+   * @returns {Object[]} Nodes shaped as {id, label, checked, state, name, value, children}
+   */
+  toJSON() {
+    const nodes = [];
+    this.roots.forEach(root => {
+      this._findTopLevelCheckboxes(root).forEach(checkbox => {
+        nodes.push(this._serializeCheckbox(checkbox));
+      });
+    });
+    return nodes;
+  }
+  
+  /**
+   * Serialize a checkbox and its subtree
+   * @private
+   */
+  _serializeCheckbox(checkbox) {
+    const li = this._itemOf(checkbox);
+    
+    const node = {
+      id: checkbox.id || null,
+      label: li ? this._getItemLabel(li) : '',
+      checked: checkbox.checked,
+      state: this._getCheckboxState(checkbox)
+    };
+    
+    // submitMode keeps the name aside while the tree is managed
+    const name = checkbox.dataset.tristateName ?? checkbox.getAttribute('name');
+    if (name !== null) {
+      node.name = name;
+    }
+    
+    if (checkbox.hasAttribute('value')) {
+      node.value = checkbox.value;
+    }
+    
+    const children = this._findChildCheckboxes(checkbox);
+    if (children.length) {
+      node.children = children.map(child => this._serializeCheckbox(child));
+    }
+    
+    const indexed = this._nodes.get(checkbox);
+    if (indexed && indexed.lazy) {
+      node.lazy = true;
+      if (indexed.lazyCounts) {
+        node.checkedCount = indexed.lazyCounts.checked;
+        node.totalCount = indexed.lazyCounts.total;
+      }
+    }
+    
+    return node;
+  }
+  
+  /**
+   * Find the checkboxes in a root that have no parent checkbox within it
+   * @private
+   */
+  _findTopLevelCheckboxes(root) {
+    return (this._topLevel.get(root) || []).map(node => node.checkbox);
+  }
+  
+  /**
+   * Clean up event listeners
+   */
+  destroy() {
+    this._destroyed = true;
+    clearTimeout(this._typeahead.timer);
+    
+    this.roots.forEach(root => {
+      if (TristateCheckbox._instances.get(root) === this) TristateCheckbox._instances.delete(root);
+    });
+    TristateCheckbox._autoInstances.delete(this);
+    this._storeKeys.forEach(key => TristateCheckbox._storeOwners.delete(key));
+    this._storeKeys = [];
+    
+    this._observers.forEach(observer => observer.disconnect());
+    this._observers = [];
+    
+    this._listeners.forEach(([target, type, handler]) => {
+      target.removeEventListener(type, handler);
+    });
+    this._listeners = [];
+    
+    this._formValues.forEach(({ container }) => container.remove());
+    this._formValues.clear();
+    
+    this.clearFilter();
+    
+    this._badges.forEach(badge => badge.remove());
+    this._badges.clear();
+    
+    if (this.options.accessible) {
+      this.roots.forEach(root => this._removeTreeAria(root));
+    }
+    
+    // Without toggles there would be no way to reopen a collapsed subtree
+    if (this.options.collapsible) {
+      this.roots.forEach(root => {
+        this._getParentItems(root).forEach(li => {
+          this._childElements(li, '.tristate-toggle').forEach(toggle => toggle.remove());
+          this._groupOf(li).hidden = false;
+        });
+      });
+    }
+    
+    this._handlers.forEach((handler, checkbox) => {
+      checkbox.removeEventListener('change', handler);
+      this._restoreName(checkbox);
+    });
+    this._controllers.forEach(({ handler }, checkbox) => {
+      checkbox.removeEventListener('change', handler);
+    });
+    this._controllers.clear();
+    
+    this._handlers.clear();
+    this._nodes.clear();
+    this._itemNodes.clear();
+    this._topLevel.clear();
+    this._limited.clear();
+    this._snapshots.clear();
+    this._controlled.clear();
+  }
+  
+  /**
+   * Convert various selector types to array of elements
+   * @private
+   */
+  _getElements(selector) {
+    // instanceof would reject elements from another window, so nodes are recognized by their type
+    if (typeof selector === 'string') {
+      return Array.from((this.options.root || document).querySelectorAll(selector));
+    } else if (TristateCheckbox._isElement(selector)) {
+      return [selector];
+    } else if (selector && typeof selector.length === 'number') {
+      return Array.from(selector).filter(TristateCheckbox._isElement);
+    }
+    return [];
+  }
+}
+
+/**
+ * Default options, shared by every instance
+ */
+TristateCheckbox.defaults = {
+  observe: false,
+  submitMode: null,
+  accessible: false,
+  collapsible: false,
+  persistExpanded: null,
+  lockedPolicy: 'ignore',
+  readonly: false,
+  checkboxSelector: 'input[type="checkbox"]',
+  itemSelector: 'li',
+  groupSelector: 'ul',
+  getParentItem: null,
+  propagation: 'both',
+  history: 0,
+  historyKeys: false,
+  persistSelection: null,
+  badges: false,
+  loadChildren: null,
+  cycleIndeterminate: false,
+  root: null
+};
+
+/**
+ * Built-in stores for persistSelection and persistExpanded. Each factory returns an
+ * object whose load() returns an array of ids, or null if nothing was stored, and
+ * whose save(ids) stores them.
+ */
+TristateCheckbox.adapters = {
+  /**
+   * Keep the ids in a comma-separated query string parameter
+   * @param {string} [param='tristate']
+   */
+  query(param = 'tristate') {
+    return {
+      key: `query:${param}`,
+      load: () => TristateCheckbox._parseIds(new URLSearchParams(window.location.search).get(param)),
+      save: ids => {
+        const url = new URL(window.location.href);
+        url.searchParams.set(param, ids.join(','));
+        window.history.replaceState(window.history.state, '', url.href);
+      }
+    };
+  },
+  
+  /**
+   * Keep the ids in a comma-separated parameter of the URL hash, e.g. #tristate=a,b
+   * @param {string} [param='tristate']
+   */
+  hash(param = 'tristate') {
+    return {
+      key: `hash:${param}`,
+      load: () => {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        return TristateCheckbox._parseIds(params.get(param));
+      },
+      save: ids => {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        params.set(param, ids.join(','));
+        
+        const url = new URL(window.location.href);
+        url.hash = params.toString();
+        window.history.replaceState(window.history.state, '', url.href);
+      }
+    };
+  },
+  
+  /**
+   * Keep the ids as JSON in localStorage
+   * @param {string} key
+   */
+  localStorage(key) {
+    return TristateCheckbox._storageAdapter('localStorage', key);
+  },
+  
+  /**
+   * Keep the ids as JSON in sessionStorage, for the lifetime of the tab
+   * @param {string} key
+   */
+  sessionStorage(key) {
+    return TristateCheckbox._storageAdapter('sessionStorage', key);
+  }
+};
+
+/**
+ * Values accepted by the submitMode option
+ */
+TristateCheckbox.SUBMIT_MODES = ['leaves', 'topmost', 'all'];
+
+/**
+ * Values accepted by the propagation option and the data-tristate-propagation attribute
+ */
+TristateCheckbox.PROPAGATION_MODES = ['both', 'down', 'up', 'none'];
+
+/**
+ * Values accepted by the lockedPolicy option
+ */
+TristateCheckbox.LOCKED_POLICIES = ['ignore', 'include'];
+
+// Counter for ids generated by render()
+TristateCheckbox._idCounter = 0;
+
+// Root element -> the instance managing it, for getInstance()
+TristateCheckbox._instances = new WeakMap();
+
+// Store key -> the instance persisting to it, so that no two share one
+TristateCheckbox._storeOwners = new Map();
+
+// Instances created by autoInit(), destroyed when their roots leave the document
+TristateCheckbox._autoInstances = new Set();
+
+// The document watched by startAutoInit() and its observer
+TristateCheckbox._autoInit = null;
+
+/**
+ * <tristate-tree> wraps the checkbox markup inside it in a TristateCheckbox and behaves
+ * like a native form control: it has a name and a value, fires input and change when
+ * the user changes it, and submits its value with its form through ElementInternals.
+ * HTMLElement only exists in browsers, so the class is left out everywhere else.
+ */
+const TristateTreeElement = typeof HTMLElement === 'undefined' ? null : class extends HTMLElement {
+  static get formAssociated() {
+    return true;
+  }
+  
+  static get observedAttributes() {
+    return ['value'];
+  }
+  
+  constructor() {
+    super();
+    
+    // Options for the TristateCheckbox, read when the element is connected
+    this.options = {};
+    this.tree = null;
+    
+    this._internals = typeof this.attachInternals === 'function' ? this.attachInternals() : null;
+    this._pendingValue = null;
+    this._reflecting = false;
+    this._changedBy = null;
+    
+    this.addEventListener('tristate:change', event => {
+      this._changedBy = event.detail.source;
+      this._syncValue();
+    });
+    
+    // The checkboxes' own events are replaced by events from the element, fired once
+    // the tree has settled and only if the click was not reverted. These listeners are
+    // the element's first, so they also keep the events from its other listeners.
+    this.addEventListener('input', event => {
+      if (event.target === this) return;
+      event.stopImmediatePropagation();
+      this._changedBy = null;
+    });
+    this.addEventListener('change', event => {
+      if (event.target === this) return;
+      event.stopImmediatePropagation();
+      
+      if (this._changedBy === event.target) {
+        this.dispatchEvent(new Event('input', { bubbles: true }));
+        this.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+      this._changedBy = null;
+    });
+  }
+  
+  connectedCallback() {
+    // An element upgraded while the page is parsed has no children yet
+    if (this.ownerDocument.readyState === 'loading') {
+      this.ownerDocument.addEventListener('DOMContentLoaded', () => this.connectedCallback(), { once: true });
+      return;
+    }
+    if (this.tree || !this.isConnected) return;
+    
+    this.tree = new TristateCheckbox(this, this.options);
+    
+    if (this._pendingValue) {
+      this.tree.setValue(this._pendingValue);
+      this._pendingValue = null;
+    } else if (this.hasAttribute('value')) {
+      this.tree.setValue(TristateTreeElement._parseValue(this.getAttribute('value')));
+    }
+    this._syncValue();
+  }
+  
+  disconnectedCallback() {
+    if (!this.tree) return;
+    
+    this.tree.destroy();
+    this.tree = null;
+  }
+  
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (this._reflecting) return;
+    this.value = newValue;
+  }
+  
+  formResetCallback() {
+    // The checkboxes are reset by the form itself, and the tree recalculates afterwards
+    setTimeout(() => {
+      if (this.tree) this._syncValue();
+    });
+  }
+  
+  /**
+   * The values of the checked checkboxes, as selected by the mode attribute.
+   * A checkbox without a value attribute contributes its id.
+   * @type {string[]}
+   */
+  get value() {
+    if (!this.tree) {
+      return this._pendingValue || TristateTreeElement._parseValue(this.getAttribute('value'));
+    }
+    
+    return this.tree.getValue(this.mode);
+  }
+  
+  /**
+   * Check exactly the checkboxes whose value is listed, and uncheck the rest
+   * @param {string[]|string} value - Values, or a comma-separated string
+   */
+  set value(value) {
+    const values = Array.isArray(value) ? value.map(String) : TristateTreeElement._parseValue(value);
+    
+    if (!this.tree) {
+      this._pendingValue = values;
+      return;
+    }
+    this.tree.setValue(values);
+  }
+  
+  /**
+   * Which checked checkboxes make up the value: 'leaves' (default), 'topmost' or 'all'
+   * @type {string}
+   */
+  get mode() {
+    const mode = this.getAttribute('mode');
+    return TristateCheckbox.SUBMIT_MODES.includes(mode) ? mode : 'leaves';
+  }
+  
+  get name() {
+    return this.getAttribute('name');
+  }
+  
+  get form() {
+    return this._internals && 'form' in this._internals ? this._internals.form : this.closest('form');
+  }
+  
+  /**
+   * Reflect the value to the value attribute and to the form
+   * @private
+   */
+  _syncValue() {
+    const values = this.value;
+    
+    this._reflecting = true;
+    this.setAttribute('value', values.join(','));
+    this._reflecting = false;
+    
+    if (this._internals && typeof this._internals.setFormValue === 'function') {
+      let formValue = null;
+      if (this.name && values.length) {
+        formValue = new FormData();
+        values.forEach(value => formValue.append(this.name, value));
+      }
+      this._internals.setFormValue(formValue);
+    }
+  }
+  
+  /**
+   * Split a comma-separated value attribute
+   * @private
+   */
+  static _parseValue(value) {
+    return String(value ?? '').split(',').map(part => part.trim()).filter(Boolean);
+  }
+};
+
+/**
+ * The <tristate-tree> element class, or null outside the browser
+ */
+TristateCheckbox.TreeElement = TristateTreeElement;
+
+if (TristateTreeElement && typeof customElements !== 'undefined' && !customElements.get('tristate-tree')) {
+  customElements.define('tristate-tree', TristateTreeElement);
+}
+
+// <script src="tristate-checkbox.min.js" data-tristate-auto> picks up data-tristate
+// elements without any other script on the page
+if (typeof document !== 'undefined' && document.currentScript
+  && document.currentScript.hasAttribute('data-tristate-auto')) {
+  TristateCheckbox.startAutoInit();
 }
 
 // Export as module for modern environments